@@ -2,9 +2,28 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const axios = require('axios');
+const { isValidPan } = require('../shared/panValidator');
+const {
+  PERMISSIONS,
+  ROLES,
+  PERMISSION_NAMES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_TWO_FACTOR_ROLES,
+  authenticate,
+  requirePermission
+} = require('../shared/permissions');
+const { forwardIdentity } = require('../shared/identity');
 const app = express();
 const PORT = process.env.PORT || 3007;
 
+// Upstream service URLs
+const donationServiceUrl = process.env.DONATION_SERVICE_URL || 'http://donation-service:3003';
+const donorServiceUrl = process.env.DONOR_SERVICE_URL || 'http://donor-service:3002';
+const authServiceUrl = process.env.AUTH_SERVICE_URL || 'http://auth-service:3001';
+
+// Most donor IDs requested from donor-service's batch endpoint at once
+const DONOR_BATCH_SIZE = 100;
+
 app.use(express.json());
 
 // MongoDB connection
@@ -23,7 +42,13 @@ const systemConfigSchema = new mongoose.Schema({
     organizationAddress: { type: String, default: '123 Main Street, Mumbai, India' },
     organizationLogo: { type: String, default: '/assets/logo.png' },
     signatoryName: { type: String, default: 'John Smith' },
-    signatoryPosition: { type: String, default: 'Treasurer' }
+    signatoryPosition: { type: String, default: 'Treasurer' },
+    // Section 80G tax exemption details printed on receipts
+    organizationPan: { type: String, default: '' },
+    registration80GNumber: { type: String, default: '' },
+    registration80GDate: { type: String, default: '' },
+    registration80GValidity: { type: String, default: '' },
+    cashDeductionLimit: { type: Number, default: 2000 }
   },
   notificationSettings: {
     defaultWhatsAppTemplate: { type: String, default: 'donation_receipt' },
@@ -32,10 +57,26 @@ const systemConfigSchema = new mongoose.Schema({
     emailSenderAddress: { type: String, default: 'receipts@donormanagementsystem.com' }
   },
   eventSettings: {
-    monsoonMonths: [{ type: Number }],
+    monsoonMonths: [{ type: Number }], // 1-12; used for events without a region of their own
+    // Regions whose monsoon season differs from monsoonMonths, e.g. Tamil Nadu's northeast monsoon
+    monsoonRegions: [{
+      _id: false,
+      region: { type: String, required: true },
+      months: [{ type: Number }]
+    }],
     defaultSeatingLayout: { type: String, default: 'theater' },
     defaultSectionNames: [{ type: String }]
   },
+  // Permissions each role holds by default; unset roles use DEFAULT_ROLE_PERMISSIONS.
+  // Superadmins always hold every permission.
+  rolePermissions: {
+    volunteer: { type: [String], default: undefined },
+    admin: { type: [String], default: undefined }
+  },
+  securitySettings: {
+    // Roles that must sign in with two-factor authentication; unset uses DEFAULT_TWO_FACTOR_ROLES
+    twoFactorRequiredRoles: { type: [String], default: undefined }
+  },
   updatedAt: { type: Date, default: Date.now }
 });
 
@@ -71,23 +112,6 @@ auditLogSchema.index({ entity: 1, entityId: 1 });
 
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 
-// Permission middleware
-const checkAdminPermission = (req, res, next) => {
-  // In a real implementation, this would verify that the user has admin permissions
-  // For this example, we'll just check for the presence of an admin role header
-  const role = req.headers['x-user-role'];
-  if (role !== 'admin' && role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'AUTHORIZATION_ERROR',
-        message: 'Admin permission required'
-      }
-    });
-  }
-  next();
-};
-
 // Pagination middleware
 const paginate = (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
@@ -103,54 +127,56 @@ const paginate = (req, res, next) => {
 };
 
 // Apply middleware for all routes
-app.use(checkAdminPermission);
+app.use(authenticate);
 
-// Get all users route
-app.get('/users', paginate, async (req, res) => {
-  try {
-    // In a real microservice architecture, this would be a call to the auth service
-    // For this example, we'll return mock data
-    
-    const mockUsers = [
-      {
-        id: '60d4a32e1f3d2c001f9a4ed8',
-        username: 'johndoe',
-        email: 'john.doe@example.com',
-        firstName: 'John',
-        lastName: 'Doe',
-        role: 'admin',
-        isActive: true,
-        lastLogin: '2023-06-24T14:30:00.000Z',
-        createdAt: '2023-06-24T14:30:45.123Z',
-        updatedAt: '2023-06-24T14:30:45.123Z'
-      },
-      {
-        id: '60d4a6601f3d2c001f9a4eed',
-        username: 'janedoe',
-        email: 'jane.doe@example.com',
-        firstName: 'Jane',
-        lastName: 'Doe',
-        role: 'volunteer',
-        isActive: true,
-        lastLogin: '2023-06-24T15:20:00.000Z',
-        createdAt: '2023-06-24T15:20:00.000Z',
-        updatedAt: '2023-06-24T15:20:00.000Z'
+// Get a single system config section (used by other services with the service token, e.g.
+// receipt-service reads receiptSettings when issuing receipts). Read-only, so it needs no
+// particular permission.
+app.get('/system-config/:section', [
+  param('section').isIn(['receiptSettings', 'notificationSettings', 'eventSettings', 'rolePermissions', 'securitySettings'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid system config section',
+        details: errors.array()
       }
-    ];
+    });
+  }
+
+  try {
+    const config = await getSystemConfig();
     
-    // Log the action
-    await logAction(req, 'READ', 'USER', 'all', { filters: req.query });
+    res.json({
+      success: true,
+      data: getConfigSection(config, req.params.section)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Permission catalogue and the permissions each role currently holds by default
+app.get('/permissions', async (req, res) => {
+  try {
+    const config = await getSystemConfig();
     
     res.json({
       success: true,
-      count: mockUsers.length,
-      pagination: {
-        page: req.pagination.page,
-        limit: req.pagination.limit,
-        totalPages: 1,
-        totalResults: mockUsers.length
-      },
-      data: mockUsers
+      data: {
+        permissions: PERMISSION_NAMES.map(name => ({ name, description: PERMISSIONS[name] })),
+        rolePermissions: getRolePermissions(config)
+      }
     });
   } catch (error) {
     console.error(error);
@@ -164,16 +190,135 @@ app.get('/users', paginate, async (req, res) => {
   }
 });
 
+// Calls to auth-service's internal user endpoints
+const authServiceRequest = (req, method, path, data) => axios({
+  method,
+  url: `${authServiceUrl}/internal/users${path}`,
+  params: method === 'get' ? data : undefined,
+  data: method === 'get' ? undefined : data,
+  headers: {
+    'x-service-token': process.env.INTERNAL_SERVICE_TOKEN,
+    'x-request-id': req.headers['x-request-id'] || `req_${Date.now()}`
+  },
+  timeout: 5000
+});
+
+/**
+ * Send the response for a failed auth-service call: its own errors are passed through,
+ * an unreachable service is reported as unavailable
+ * @param {object} res - Express response
+ * @param {Error} error - axios error
+ */
+function sendAuthServiceError(res, error) {
+  console.error(error);
+  
+  if (error.response) {
+    return res.status(error.response.status).json(error.response.data);
+  }
+  
+  if (error.request) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Auth service temporarily unavailable'
+      }
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'SERVER_ERROR',
+      message: 'Internal server error'
+    }
+  });
+}
+
+// Only superadmins may create, promote to or change superadmin accounts
+const superadminRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'AUTHORIZATION_ERROR',
+    message: 'Superadmin permission required'
+  }
+});
+
+// Get all users route
+app.get('/users', requirePermission('manage-users'), paginate, [
+  query('role').optional().isIn(ROLES),
+  query('isActive').optional().isBoolean(),
+  query('search').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const response = await authServiceRequest(req, 'get', '', {
+      role: req.query.role,
+      isActive: req.query.isActive,
+      search: req.query.search,
+      page: req.pagination.page,
+      limit: req.pagination.limit
+    });
+    
+    // Log the action
+    await logAction(req, 'READ', 'USER', 'all', { filters: req.query });
+    
+    res.json(response.data);
+  } catch (error) {
+    sendAuthServiceError(res, error);
+  }
+});
+
+// Get user route
+app.get('/users/:userId', requirePermission('manage-users'), [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const response = await authServiceRequest(req, 'get', `/${req.params.userId}`);
+    
+    // Log the action
+    await logAction(req, 'READ', 'USER', req.params.userId);
+    
+    res.json(response.data);
+  } catch (error) {
+    sendAuthServiceError(res, error);
+  }
+});
+
 // Create user route
-app.post('/users', [
+app.post('/users', requirePermission('manage-users'), [
   body('username').isAlphanumeric().isLength({ min: 4 }),
   body('email').isEmail(),
   body('password').isLength({ min: 8 }),
   body('firstName').notEmpty(),
   body('lastName').notEmpty(),
   body('phone').optional().isMobilePhone(),
-  body('role').isIn(['volunteer', 'admin', 'superadmin']),
-  body('permissions').optional().isArray()
+  body('role').isIn(ROLES),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(PERMISSION_NAMES)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -187,23 +332,22 @@ app.post('/users', [
     });
   }
 
+  if (req.body.role === 'superadmin' && req.user.role !== 'superadmin') {
+    return superadminRequiredResponse(res);
+  }
+
   try {
-    // In a real microservice architecture, this would be a call to the auth service
-    // For this example, we'll return mock data with the input values
-    
-    const newUser = {
-      id: `user_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    const response = await authServiceRequest(req, 'post', '', {
       username: req.body.username,
       email: req.body.email,
+      password: req.body.password,
       firstName: req.body.firstName,
       lastName: req.body.lastName,
       phone: req.body.phone,
       role: req.body.role,
-      permissions: req.body.permissions || [],
-      isActive: true,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+      permissions: req.body.permissions
+    });
+    const newUser = response.data.data;
     
     // Log the action
     await logAction(req, 'CREATE', 'USER', newUser.id, {
@@ -212,27 +356,51 @@ app.post('/users', [
       role: newUser.role
     });
     
-    res.status(201).json({
-      success: true,
-      data: newUser
-    });
+    res.status(201).json(response.data);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
+    sendAuthServiceError(res, error);
+  }
+});
+
+/**
+ * Load a user and check that the current admin may change them: nobody changes their own
+ * role or active state, and superadmin accounts are only managed by superadmins
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} changes - Requested role and/or isActive
+ * @returns {Promise<object|null>} - The user, or null once an error response has been sent
+ */
+async function loadManagedUser(req, res, changes) {
+  const response = await authServiceRequest(req, 'get', `/${req.params.userId}`);
+  const user = response.data.data;
+  
+  if (req.params.userId === req.user.id &&
+      (changes.role !== undefined || changes.isActive !== undefined)) {
+    res.status(400).json({
       success: false,
       error: {
-        code: 'SERVER_ERROR',
-        message: 'Internal server error'
+        code: 'VALIDATION_ERROR',
+        message: 'You cannot change your own role or deactivate your own account'
       }
     });
+    return null;
   }
-});
+  
+  if ((user.role === 'superadmin' || changes.role === 'superadmin') &&
+      req.user.role !== 'superadmin') {
+    superadminRequiredResponse(res);
+    return null;
+  }
+  
+  return user;
+}
 
 // Update user route
-app.put('/users/:userId', [
+app.put('/users/:userId', requirePermission('manage-users'), [
   param('userId').isMongoId(),
-  body('role').optional().isIn(['volunteer', 'admin', 'superadmin']),
+  body('role').optional().isIn(ROLES),
   body('permissions').optional().isArray(),
+  body('permissions.*').isIn(PERMISSION_NAMES),
   body('isActive').optional().isBoolean()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -248,105 +416,170 @@ app.put('/users/:userId', [
   }
 
   try {
-    // In a real microservice architecture, this would be a call to the auth service
-    // For this example, we'll return mock data
-    
-    const originalUser = {
-      id: req.params.userId,
-      username: 'sanjay',
-      email: 'sanjay.gupta@example.com',
-      firstName: 'Sanjay',
-      lastName: 'Gupta',
-      role: 'volunteer',
-      permissions: ['manage-donors', 'manage-receipts'],
-      isActive: true,
-      createdAt: '2023-06-24T15:25:00.000Z',
-      updatedAt: '2023-06-24T15:25:00.000Z'
-    };
-    
-    // Update user with the provided fields
-    const updatedUser = { ...originalUser };
-    
-    if (req.body.role) updatedUser.role = req.body.role;
-    if (req.body.permissions) updatedUser.permissions = req.body.permissions;
-    if (req.body.isActive !== undefined) updatedUser.isActive = req.body.isActive;
-    
-    updatedUser.updatedAt = new Date().toISOString();
+    const user = await loadManagedUser(req, res, req.body);
+    if (!user) return;
+    
+    const response = await authServiceRequest(req, 'put', `/${req.params.userId}`, {
+      role: req.body.role,
+      permissions: req.body.permissions,
+      isActive: req.body.isActive
+    });
     
     // Log the changes for audit
-    const changes = {};
-    if (req.body.role && req.body.role !== originalUser.role) {
-      changes.role = {
-        old: originalUser.role,
-        new: req.body.role
-      };
-    }
+    await logAction(req, 'UPDATE', 'USER', req.params.userId, response.data.changes);
     
-    if (req.body.permissions) {
-      changes.permissions = {
-        old: originalUser.permissions,
-        new: req.body.permissions
-      };
-    }
+    res.json({
+      success: true,
+      data: response.data.data
+    });
+  } catch (error) {
+    sendAuthServiceError(res, error);
+  }
+});
+
+// Deactivate user route
+app.post('/users/:userId/deactivate', requirePermission('manage-users'), [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await loadManagedUser(req, res, { isActive: false });
+    if (!user) return;
     
-    if (req.body.isActive !== undefined && req.body.isActive !== originalUser.isActive) {
-      changes.isActive = {
-        old: originalUser.isActive,
-        new: req.body.isActive
-      };
-    }
+    const response = await authServiceRequest(req, 'post', `/${req.params.userId}/deactivate`);
     
     // Log the action
-    await logAction(req, 'UPDATE', 'USER', req.params.userId, changes);
+    await logAction(req, 'UPDATE', 'USER', req.params.userId, response.data.changes);
     
     res.json({
       success: true,
-      data: updatedUser
+      data: response.data.data
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
+    sendAuthServiceError(res, error);
+  }
+});
+
+// Reset a user's two-factor authentication, for users who have lost both their
+// authenticator and their recovery codes; they enrol again at their next sign-in
+app.post('/users/:userId/reset-two-factor', requirePermission('manage-users'), [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
       error: {
-        code: 'SERVER_ERROR',
-        message: 'Internal server error'
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
       }
     });
   }
+
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'You cannot reset your own two-factor authentication'
+      }
+    });
+  }
+
+  try {
+    const user = await loadManagedUser(req, res, {});
+    if (!user) return;
+    
+    const response = await authServiceRequest(req, 'post', `/${req.params.userId}/reset-two-factor`);
+    
+    // Log the action
+    await logAction(req, 'UPDATE', 'USER', req.params.userId, response.data.changes);
+    
+    res.json({
+      success: true,
+      data: response.data.data
+    });
+  } catch (error) {
+    sendAuthServiceError(res, error);
+  }
 });
 
+// Get the current system config or create a default one if not exists
+async function getSystemConfig() {
+  let config = await SystemConfig.findOne();
+  
+  if (!config) {
+    config = new SystemConfig({
+      receiptSettings: {
+        receiptPrefix: 'REC',
+        receiptNumberFormat: 'YYMMxxxx',
+        organizationName: 'Donor Management System',
+        organizationAddress: '123 Main Street, Mumbai, India',
+        organizationLogo: '/assets/logo.png',
+        signatoryName: 'John Smith',
+        signatoryPosition: 'Treasurer',
+        organizationPan: '',
+        registration80GNumber: '',
+        registration80GDate: '',
+        registration80GValidity: '',
+        cashDeductionLimit: 2000
+      },
+      notificationSettings: {
+        defaultWhatsAppTemplate: 'donation_receipt',
+        defaultEmailSubject: 'Thank You for Your Donation',
+        emailSenderName: 'Donor Management System',
+        emailSenderAddress: 'receipts@donormanagementsystem.com'
+      },
+      eventSettings: {
+        monsoonMonths: [6, 7, 8, 9],
+        monsoonRegions: [{ region: 'Tamil Nadu', months: [10, 11, 12] }],
+        defaultSeatingLayout: 'theater',
+        defaultSectionNames: ['A', 'B', 'C']
+      }
+    });
+    
+    await config.save();
+  }
+  
+  return config;
+}
+
+// Permissions each role holds by default, falling back to the built-in mapping
+const getRolePermissions = (config) => ({
+  volunteer: (config.rolePermissions && config.rolePermissions.volunteer) || DEFAULT_ROLE_PERMISSIONS.volunteer,
+  admin: (config.rolePermissions && config.rolePermissions.admin) || DEFAULT_ROLE_PERMISSIONS.admin,
+  superadmin: PERMISSION_NAMES
+});
+
+// Security settings, falling back to the built-in two-factor policy
+const getSecuritySettings = (config) => ({
+  twoFactorRequiredRoles: (config.securitySettings && config.securitySettings.twoFactorRequiredRoles) ||
+    DEFAULT_TWO_FACTOR_ROLES
+});
+
+// A system config section as other services read it
+const getConfigSection = (config, section) => {
+  if (section === 'rolePermissions') return getRolePermissions(config);
+  if (section === 'securitySettings') return getSecuritySettings(config);
+  return config[section];
+};
+
 // Get system config route
-app.get('/system-config', async (req, res) => {
+app.get('/system-config', requirePermission('manage-settings'), async (req, res) => {
   try {
-    // Get the current system config or create a default one if not exists
-    let config = await SystemConfig.findOne();
-    
-    if (!config) {
-      config = new SystemConfig({
-        receiptSettings: {
-          receiptPrefix: 'REC',
-          receiptNumberFormat: 'YYMMxxxx',
-          organizationName: 'Donor Management System',
-          organizationAddress: '123 Main Street, Mumbai, India',
-          organizationLogo: '/assets/logo.png',
-          signatoryName: 'John Smith',
-          signatoryPosition: 'Treasurer'
-        },
-        notificationSettings: {
-          defaultWhatsAppTemplate: 'donation_receipt',
-          defaultEmailSubject: 'Thank You for Your Donation',
-          emailSenderName: 'Donor Management System',
-          emailSenderAddress: 'receipts@donormanagementsystem.com'
-        },
-        eventSettings: {
-          monsoonMonths: [6, 7, 8, 9],
-          defaultSeatingLayout: 'theater',
-          defaultSectionNames: ['A', 'B', 'C']
-        }
-      });
-      
-      await config.save();
-    }
+    const config = await getSystemConfig();
     
     // Log the action
     await logAction(req, 'READ', 'SYSTEM_CONFIG', config._id);
@@ -356,7 +589,9 @@ app.get('/system-config', async (req, res) => {
       data: {
         receiptSettings: config.receiptSettings,
         notificationSettings: config.notificationSettings,
-        eventSettings: config.eventSettings
+        eventSettings: config.eventSettings,
+        rolePermissions: getRolePermissions(config),
+        securitySettings: getSecuritySettings(config)
       }
     });
   } catch (error) {
@@ -372,10 +607,24 @@ app.get('/system-config', async (req, res) => {
 });
 
 // Update system config route
-app.put('/system-config', [
+app.put('/system-config', requirePermission('manage-settings'), [
   body('receiptSettings').optional(),
   body('notificationSettings').optional(),
-  body('eventSettings').optional()
+  body('eventSettings').optional(),
+  body('eventSettings.monsoonMonths').optional().isArray(),
+  body('eventSettings.monsoonMonths.*').isInt({ min: 1, max: 12 }),
+  body('eventSettings.monsoonRegions').optional().isArray(),
+  body('eventSettings.monsoonRegions.*.region').isString().notEmpty(),
+  body('eventSettings.monsoonRegions.*.months').isArray(),
+  body('eventSettings.monsoonRegions.*.months.*').isInt({ min: 1, max: 12 }),
+  body('rolePermissions').optional().isObject()
+    .custom(value => Object.keys(value).every(role => ['volunteer', 'admin'].includes(role)))
+    .withMessage('Role permissions can be set for volunteer and admin; superadmins hold every permission'),
+  body('rolePermissions.*').isArray(),
+  body('rolePermissions.*.*').isIn(PERMISSION_NAMES),
+  body('securitySettings').optional().isObject(),
+  body('securitySettings.twoFactorRequiredRoles').optional().isArray(),
+  body('securitySettings.twoFactorRequiredRoles.*').isIn(ROLES)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -467,6 +716,36 @@ app.put('/system-config', [
       });
     }
     
+    // Update role permissions if provided; they apply to tokens issued from now on
+    if (req.body.rolePermissions) {
+      const oldRolePermissions = getRolePermissions(config);
+      
+      Object.keys(req.body.rolePermissions).forEach(role => {
+        const permissions = PERMISSION_NAMES.filter(name => req.body.rolePermissions[role].includes(name));
+        if (JSON.stringify(oldRolePermissions[role]) !== JSON.stringify(permissions)) {
+          // Only record changed roles
+          if (!changes.rolePermissions) changes.rolePermissions = {};
+          changes.rolePermissions[role] = {
+            old: oldRolePermissions[role],
+            new: permissions
+          };
+        }
+        config.set(`rolePermissions.${role}`, permissions);
+      });
+    }
+    
+    // Update the two-factor policy if provided; it applies from each user's next sign-in
+    if (req.body.securitySettings && req.body.securitySettings.twoFactorRequiredRoles) {
+      const oldRoles = getSecuritySettings(config).twoFactorRequiredRoles;
+      const roles = ROLES.filter(role => req.body.securitySettings.twoFactorRequiredRoles.includes(role));
+      if (JSON.stringify(oldRoles) !== JSON.stringify(roles)) {
+        changes.securitySettings = {
+          twoFactorRequiredRoles: { old: oldRoles, new: roles }
+        };
+      }
+      config.set('securitySettings.twoFactorRequiredRoles', roles);
+    }
+    
     config.updatedAt = new Date();
     await config.save();
     
@@ -478,7 +757,9 @@ app.put('/system-config', [
       data: {
         receiptSettings: config.receiptSettings,
         notificationSettings: config.notificationSettings,
-        eventSettings: config.eventSettings
+        eventSettings: config.eventSettings,
+        rolePermissions: getRolePermissions(config),
+        securitySettings: getSecuritySettings(config)
       }
     });
   } catch (error) {
@@ -494,7 +775,7 @@ app.put('/system-config', [
 });
 
 // Get audit logs route
-app.get('/audit-logs', paginate, [
+app.get('/audit-logs', requirePermission('view-audit-logs'), paginate, [
   query('user').optional(),
   query('action').optional().isIn(['CREATE', 'READ', 'UPDATE', 'DELETE']),
   query('entity').optional().isIn(['DONOR', 'DONATION', 'RECEIPT', 'EVENT', 'USER', 'SYSTEM_CONFIG']),
@@ -582,13 +863,349 @@ app.get('/audit-logs', paginate, [
   }
 });
 
+// Form 10BD column layout expected by the income-tax portal bulk upload template
+const FORM_10BD_COLUMNS = [
+  'Sr. No.',
+  'Pre Acknowledgement Number',
+  'ID Code',
+  'Unique Identification Number',
+  'Section Code',
+  'Unique Registration Number (URN)',
+  'Date of Issuance of Unique Registration Number',
+  'Name of donor',
+  'Address of donor',
+  'Donation Type',
+  'Mode of receipt',
+  'Amount of donation (Indian rupees)'
+];
+
+// Map donation-service payment methods to the Form 10BD "Mode of receipt" values
+const FORM_10BD_MODES = {
+  CASH: 'Cash',
+  BANK_TRANSFER: 'Electronic modes including account payee cheque/draft',
+  CHEQUE: 'Electronic modes including account payee cheque/draft',
+  CREDIT_CARD: 'Electronic modes including account payee cheque/draft',
+  UPI: 'Electronic modes including account payee cheque/draft',
+  OTHER: 'Others'
+};
+
+// Financial year label (e.g. "2024-25") to its April-March date range in IST
+const parseFinancialYear = (financialYear) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(financialYear || '');
+  if (!match || (parseInt(match[1]) + 1) % 100 !== parseInt(match[2])) return null;
+  
+  const startYear = parseInt(match[1]);
+  return {
+    startDate: new Date(`${startYear}-04-01T00:00:00.000+05:30`),
+    endDate: new Date(`${startYear + 1}-03-31T23:59:59.999+05:30`)
+  };
+};
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Headers for calls to other services on behalf of the current admin
+const forwardHeaders = (req) => {
+  const headers = {
+    ...forwardIdentity(req.headers),
+    'x-request-id': req.headers['x-request-id'] || `req_${Date.now()}`
+  };
+  
+  // Unset headers would be rejected by the HTTP client
+  Object.keys(headers).forEach(key => {
+    if (headers[key] === undefined) delete headers[key];
+  });
+  
+  return headers;
+};
+
+/**
+ * Fetch all donations in a date range from the donation service, page by page
+ * @param {object} req - Express request (for forwarded auth headers)
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {Promise<object[]>} - Donations in the range, without donor or receipt details
+ */
+async function fetchDonationsInRange(req, startDate, endDate) {
+  const donations = [];
+  let page = 1;
+  let totalPages = 1;
+  
+  do {
+    const response = await axios.get(`${donationServiceUrl}/`, {
+      headers: forwardHeaders(req),
+      // The export only needs each donation's donorId, so skip the donor and receipt
+      // lookups donation-service would otherwise make for every page
+      params: {
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString(),
+        enrich: false,
+        page,
+        limit: 500,
+        // Many donations share a date, so _id keeps the order stable from page to page
+        sort: 'donationDate,_id'
+      },
+      timeout: 10000
+    });
+    
+    if (!response.data || !response.data.success) {
+      throw new Error('Invalid response format from donation service');
+    }
+    
+    donations.push(...response.data.data);
+    totalPages = response.data.pagination.totalPages;
+    page++;
+  } while (page <= totalPages);
+  
+  return donations;
+}
+
+/**
+ * Fetch several donors from the donor service's batch endpoint, DONOR_BATCH_SIZE at a time
+ * @param {object} req - Express request (for forwarded auth headers)
+ * @param {string[]} donorIds - Donor IDs
+ * @returns {Promise<object>} - Map of donor ID to donor; donors that do not exist are left out
+ */
+async function fetchDonors(req, donorIds) {
+  const donors = {};
+  
+  for (let i = 0; i < donorIds.length; i += DONOR_BATCH_SIZE) {
+    const response = await axios.get(`${donorServiceUrl}/batch`, {
+      headers: forwardHeaders(req),
+      params: { ids: donorIds.slice(i, i + DONOR_BATCH_SIZE).join(',') },
+      timeout: 10000
+    });
+    
+    if (!response.data || !response.data.success) {
+      throw new Error('Invalid response format from donor service');
+    }
+    
+    response.data.data.forEach(donor => {
+      donors[(donor._id || donor.id).toString()] = donor;
+    });
+  }
+  
+  return donors;
+}
+
+// Export Form 10BD (statement of donations) for a financial year
+app.get('/exports/form-10bd', requirePermission('export-reports'), [
+  query('financialYear')
+    .custom(value => parseFinancialYear(value) !== null)
+    .withMessage('financialYear must be in the format YYYY-YY, e.g. 2024-25'),
+  query('format').optional().isIn(['csv', 'json']),
+  query('acknowledgeFlagged').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid query parameters',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const { startDate, endDate } = parseFinancialYear(req.query.financialYear);
+    const config = await getSystemConfig();
+    const receiptSettings = config.receiptSettings;
+    
+    const donations = await fetchDonationsInRange(req, startDate, endDate);
+    
+    // Aggregate donations per donor and mode of receipt, as the form reports them
+    const aggregates = {};
+    donations.forEach(donation => {
+      const donorId = donation.donorId && donation.donorId.toString();
+      if (!donorId) return;
+      
+      const mode = FORM_10BD_MODES[donation.paymentMethod] || 'Others';
+      const key = `${donorId}|${mode}`;
+      if (!aggregates[key]) {
+        aggregates[key] = { donorId, mode, amount: 0 };
+      }
+      aggregates[key].amount += donation.amount;
+    });
+    
+    // Join donor details and validate their PAN
+    const donorIds = [...new Set(Object.values(aggregates).map(a => a.donorId))];
+    const donors = await fetchDonors(req, donorIds);
+    
+    const rows = [];
+    const flaggedDonors = [];
+    
+    donorIds.forEach(donorId => {
+      const donor = donors[donorId];
+      let issue = null;
+      
+      if (!donor) {
+        issue = 'DONOR_NOT_FOUND';
+      } else if (!donor.panNumber) {
+        issue = 'MISSING_PAN';
+      } else if (!isValidPan(donor.panNumber)) {
+        issue = 'INVALID_PAN';
+      }
+      
+      if (issue) {
+        flaggedDonors.push({
+          donorId,
+          name: donor ? `${donor.firstName} ${donor.lastName}` : null,
+          panNumber: donor ? donor.panNumber || null : null,
+          issue
+        });
+        return;
+      }
+      
+      const address = [donor.address, donor.city, donor.state, donor.postalCode].filter(Boolean).join(', ');
+      
+      Object.values(aggregates)
+        .filter(a => a.donorId === donorId)
+        .forEach(a => {
+          rows.push({
+            idCode: 1, // 1 = PAN
+            uniqueIdentificationNumber: donor.panNumber,
+            sectionCode: 'Section 80G',
+            urn: receiptSettings.registration80GNumber,
+            urnDate: receiptSettings.registration80GDate,
+            name: `${donor.firstName} ${donor.lastName}`,
+            address,
+            donationType: 'Others',
+            mode: a.mode,
+            amount: Math.round(a.amount)
+          });
+        });
+    });
+    
+    // Donors with PAN issues cannot go in the file. Rather than hand over an incomplete
+    // statement unnoticed, the CSV is only produced once they have been acknowledged.
+    if (req.query.format !== 'json' && flaggedDonors.length > 0 && req.query.acknowledgeFlagged !== 'true') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `${flaggedDonors.length} donor(s) are left out of Form 10BD because of PAN issues; ` +
+            'fix their details or pass acknowledgeFlagged=true to export without them',
+          details: flaggedDonors
+        }
+      });
+    }
+    
+    // Log the action
+    await logAction(req, 'READ', 'DONATION', 'form-10bd', {
+      financialYear: req.query.financialYear,
+      rows: rows.length,
+      flaggedDonors: flaggedDonors.length
+    });
+    
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          financialYear: req.query.financialYear,
+          totalDonations: donations.length,
+          totalAmount: rows.reduce((sum, row) => sum + row.amount, 0),
+          rows,
+          flaggedDonors
+        }
+      });
+    }
+    
+    const lines = [FORM_10BD_COLUMNS.join(',')];
+    rows.forEach((row, index) => {
+      lines.push([
+        index + 1,
+        '',
+        row.idCode,
+        row.uniqueIdentificationNumber,
+        row.sectionCode,
+        row.urn,
+        row.urnDate,
+        row.name,
+        row.address,
+        row.donationType,
+        row.mode,
+        row.amount
+      ].map(toCsvField).join(','));
+    });
+    
+    // Donors left out of the file because of PAN issues (acknowledged above) are listed in the json format
+    res.setHeader('X-Flagged-Donor-Count', flaggedDonors.length);
+    res.setHeader('Content-disposition', `attachment; filename=form-10bd-${req.query.financialYear}.csv`);
+    res.setHeader('Content-type', 'text/csv');
+    res.send(lines.join('\r\n'));
+  } catch (error) {
+    console.error(error);
+    
+    if (error.request && !error.response) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Donation or donor service temporarily unavailable'
+        }
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Recompute all donors' donation totals from donation-service, repairing any drift
+app.post('/maintenance/donor-aggregates/recompute', requirePermission('manage-settings'), async (req, res) => {
+  try {
+    const response = await axios.post(`${donorServiceUrl}/aggregates/recompute`, {}, {
+      headers: forwardHeaders(req),
+      timeout: 120000
+    });
+    
+    // Log the action
+    await logAction(req, 'UPDATE', 'DONOR', 'aggregates', response.data.data);
+    
+    res.json(response.data);
+  } catch (error) {
+    console.error(error);
+    
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    
+    if (error.request) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Donor service temporarily unavailable'
+        }
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 // Helper function to log audit events
 async function logAction(req, action, entity, entityId, details = {}) {
   try {
-    // In a real implementation, we would get the user ID and username from the JWT
-    // For now, we'll use placeholder or headers
-    const userId = req.headers['x-user-id'] || 'system';
-    const username = req.headers['x-username'] || 'system';
+    // The gateway-verified identity; requests without one are logged as the system
+    const userId = (req.user && req.user.id) || 'system';
+    const username = (req.user && req.user.username) || 'system';
     
     const log = new AuditLog({
       user: {
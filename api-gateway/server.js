@@ -3,6 +3,8 @@ const { createProxyMiddleware } = require('http-proxy-middleware');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { signIdentity } = require('../shared/identity');
+const { resolvePermissions } = require('../shared/permissions');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -31,6 +33,18 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
+// Identity headers are only ever set by the gateway: drop any the client sent, along
+// with the service token that services accept from each other
+app.use((req, res, next) => {
+  Object.keys(req.headers).forEach(name => {
+    if (name.startsWith('x-user-') || name.startsWith('x-identity-') ||
+        name === 'x-username' || name === 'x-service-token') {
+      delete req.headers[name];
+    }
+  });
+  next();
+});
+
 // JWT verification middleware
 const jwt = require('jsonwebtoken');
 
@@ -65,6 +79,15 @@ const verifyToken = (req, res, next) => {
     // Add the decoded user information to the request object
     req.user = decoded;
     
+    // Pass the verified identity on to the service in signed headers
+    // (tokens issued before permissions were added carry only a role)
+    Object.assign(req.headers, signIdentity({
+      id: decoded.id,
+      role: decoded.role,
+      username: decoded.username,
+      permissions: Array.isArray(decoded.permissions) ? decoded.permissions : resolvePermissions(decoded.role)
+    }));
+    
     // Proceed to the next middleware or route handler
     next();
   } catch (error) {
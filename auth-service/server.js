@@ -1,11 +1,27 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const axios = require('axios');
+const QRCode = require('qrcode');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  ROLES,
+  PERMISSION_NAMES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_TWO_FACTOR_ROLES,
+  resolvePermissions
+} = require('../shared/permissions');
+const { generateSecret, verifyCode, otpauthUrl } = require('../shared/totp');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+const adminServiceUrl = process.env.ADMIN_SERVICE_URL || 'http://admin-service:3007';
+const notificationServiceUrl = process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:3008';
+// Base URL of the web app, for the links sent in password reset and verification emails
+const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
 app.use(express.json());
 
 
@@ -42,6 +58,22 @@ const userSchema = new mongoose.Schema({
   role: { type: String, enum: ['volunteer', 'admin', 'superadmin'], default: 'volunteer' },
   permissions: [{ type: String }],
   isActive: { type: Boolean, default: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // TOTP two-factor authentication. pendingSecret holds a secret being enrolled until the user
+  // confirms it with a code; lastUsedStep stops a code from being used twice.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },
+    pendingSecret: { type: String },
+    lastUsedStep: { type: Number },
+    recoveryCodes: [{
+      _id: false,
+      codeHash: { type: String, required: true },
+      usedAt: { type: Date }
+    }],
+    enabledAt: { type: Date }
+  },
   lastLogin: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -58,6 +90,310 @@ const tokenSchema = new mongoose.Schema({
 
 const Token = mongoose.model('Token', tokenSchema);
 
+// Single-use tokens sent to users by email for password resets and email verification, and
+// the challenges that stand in for tokens while a user completes two-factor sign-in.
+// Only a hash of the token is stored; MongoDB removes tokens once they expire.
+const accountTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION', 'TWO_FACTOR_LOGIN', 'TWO_FACTOR_SETUP'],
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 }, // Codes tried against a two-factor challenge
+  createdAt: { type: Date, default: Date.now }
+});
+
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+// How long emailed links stay valid
+const PASSWORD_RESET_TOKEN_MINUTES = 60;
+const EMAIL_VERIFICATION_TOKEN_HOURS = 24;
+
+// Two-factor sign-in: how long a challenge lasts, how many codes may be tried against it
+// and how many recovery codes a user gets
+const TWO_FACTOR_CHALLENGE_MINUTES = 10;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+// Name authenticator apps show next to the account
+const twoFactorIssuer = process.env.TWO_FACTOR_ISSUER || 'Donor Management System';
+
+// admin-service only answers requests from the gateway or other services
+const adminServiceHeaders = () => ({ 'x-service-token': process.env.INTERNAL_SERVICE_TOKEN });
+
+/**
+ * Fetch the role to permissions mapping from the admin service, falling back to the built-in defaults
+ * @returns {Promise<object>} - Permissions for each role
+ */
+async function getRolePermissions() {
+  try {
+    const response = await axios.get(`${adminServiceUrl}/system-config/rolePermissions`, {
+      headers: adminServiceHeaders(),
+      timeout: 5000
+    });
+    return (response.data && response.data.data) || DEFAULT_ROLE_PERMISSIONS;
+  } catch (error) {
+    console.error(`Failed to fetch role permissions: ${error.message}`);
+    return DEFAULT_ROLE_PERMISSIONS;
+  }
+}
+
+/**
+ * Sign an access token carrying the user's username, role and effective permissions
+ * @param {object} user - User document
+ * @returns {Promise<object>} - token and the permissions it carries
+ */
+async function issueAccessToken(user) {
+  const permissions = resolvePermissions(user.role, user.permissions, await getRolePermissions());
+  const token = jwt.sign({ id: user._id, username: user.username, role: user.role, permissions }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { token, permissions };
+}
+
+/**
+ * Issue access and refresh tokens to a user who has fully signed in
+ * @param {object} user - User document
+ * @returns {Promise<object>} - Response body with the tokens and the user
+ */
+async function startSession(user) {
+  const { token, permissions } = await issueAccessToken(user);
+  const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+
+  // Store refresh token
+  await Token.create({ userId: user._id, token: refreshToken });
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      permissions,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor.enabled
+    }
+  };
+}
+
+/**
+ * Record a completed sign-in and start the user's session
+ * @param {object} user - User document
+ * @returns {Promise<object>} - Response body with the tokens and the user
+ */
+async function completeSignIn(user) {
+  user.lastLogin = new Date();
+  await user.save();
+  return startSession(user);
+}
+
+const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a single-use token for a user, replacing any earlier token with the same purpose
+ * @param {object} user - User document
+ * @param {string} purpose - PASSWORD_RESET or EMAIL_VERIFICATION
+ * @param {number} lifetimeMs - How long the token stays valid
+ * @returns {Promise<string>} - The token to send to the user
+ */
+async function issueAccountToken(user, purpose, lifetimeMs) {
+  await AccountToken.deleteMany({ userId: user._id, purpose });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashAccountToken(token),
+    expiresAt: new Date(Date.now() + lifetimeMs)
+  });
+  return token;
+}
+
+/**
+ * Use up a token; deleting it as it is read means it cannot be used twice
+ * @param {string} token - Token from the emailed link
+ * @param {string} purpose - PASSWORD_RESET or EMAIL_VERIFICATION
+ * @returns {Promise<object|null>} - The token document, or null if the token is unknown, used or expired
+ */
+async function consumeAccountToken(token, purpose) {
+  return AccountToken.findOneAndDelete({
+    tokenHash: hashAccountToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Email a user through a notification service template (best effort)
+ * @param {object} user - User document
+ * @param {string} templateName - Notification service template name
+ * @param {object} templateVariables - Values for the template placeholders
+ * @returns {Promise<boolean>} - True if the notification service accepted the email
+ */
+async function sendAccountEmail(user, templateName, templateVariables) {
+  try {
+    await axios.post(`${notificationServiceUrl}/send`, {
+      type: 'EMAIL',
+      recipientId: user._id.toString(),
+      recipientEmail: user.email,
+      templateName,
+      templateVariables
+    }, { timeout: 5000 });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send ${templateName} email to user ${user._id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Send a user a link to confirm their email address
+ * @param {object} user - User document
+ * @returns {Promise<boolean>} - True if the email was handed to the notification service
+ */
+async function sendVerificationEmail(user) {
+  try {
+    const token = await issueAccountToken(user, 'EMAIL_VERIFICATION', EMAIL_VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000);
+    return await sendAccountEmail(user, 'email-verification', {
+      firstName: user.firstName,
+      verificationUrl: `${appUrl}/verify-email?token=${token}`,
+      expiresInHours: String(EMAIL_VERIFICATION_TOKEN_HOURS)
+    });
+  } catch (error) {
+    console.error(`Failed to send verification email to user ${user._id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Fetch the roles that must use two-factor authentication from the admin service,
+ * falling back to the built-in policy
+ * @returns {Promise<string[]>}
+ */
+async function getTwoFactorRequiredRoles() {
+  try {
+    const response = await axios.get(`${adminServiceUrl}/system-config/securitySettings`, {
+      headers: adminServiceHeaders(),
+      timeout: 5000
+    });
+    const settings = response.data && response.data.data;
+    return (settings && settings.twoFactorRequiredRoles) || DEFAULT_TWO_FACTOR_ROLES;
+  } catch (error) {
+    console.error(`Failed to fetch security settings: ${error.message}`);
+    return DEFAULT_TWO_FACTOR_ROLES;
+  }
+}
+
+/**
+ * Find an unexpired two-factor challenge that still has attempts left
+ * @param {string} token - Challenge token returned by /login
+ * @param {string} purpose - TWO_FACTOR_LOGIN or TWO_FACTOR_SETUP
+ * @returns {Promise<object|null>}
+ */
+async function findChallenge(token, purpose) {
+  return AccountToken.findOne({
+    tokenHash: hashAccountToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: MAX_TWO_FACTOR_ATTEMPTS }
+  });
+}
+
+/**
+ * Count a code being tried against a challenge. Attempts are claimed atomically, so
+ * parallel requests cannot try more codes than MAX_TWO_FACTOR_ATTEMPTS.
+ * @param {string} token - Challenge token returned by /login
+ * @param {string} purpose - TWO_FACTOR_LOGIN or TWO_FACTOR_SETUP
+ * @returns {Promise<object|null>} - The challenge, or null if it is unknown, expired or out of attempts
+ */
+async function claimChallengeAttempt(token, purpose) {
+  return AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashAccountToken(token),
+      purpose,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_TWO_FACTOR_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+}
+
+// Recovery codes are compared without their separator and case
+const hashRecoveryCode = (code) => hashAccountToken(String(code).replace(/[\s-]/g, '').toLowerCase());
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {object} - codes to show the user once, and the entries to store
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return {
+    codes,
+    recoveryCodes: codes.map(code => ({ codeHash: hashRecoveryCode(code) }))
+  };
+}
+
+/**
+ * Check a code from the user's authenticator app, or one of their recovery codes, and use
+ * it up. Both are marked used with a conditional update, so a code only works once.
+ * @param {object} user - User document with two-factor authentication enabled
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} - 'totp' or 'recovery', or null if the code was not accepted
+ */
+async function useSecondFactor(user, code) {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.nModified === 1 ? 'totp' : null;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.nModified === 1 ? 'recovery' : null;
+}
+
+/**
+ * Find the signed-in user from a bearer access token
+ * @param {Object} req - Express request object
+ * @returns {Promise<object|null>} - User document, or null if the token is missing or invalid
+ */
+async function getBearerUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    return await User.findById(decoded.id);
+  } catch (error) {
+    return null;
+  }
+}
+
 
 // Register endpoint
 app.post('/register', [
@@ -115,26 +451,13 @@ app.post('/register', [
     await user.save();
 
     // Generate tokens
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+    const session = await startSession(user);
 
-    // Store refresh token
-    await Token.create({ userId: user._id, token: refreshToken });
+    // Ask the user to confirm their email address; registration succeeds even if the email cannot be sent
+    await sendVerificationEmail(user);
 
     // Return user and tokens
-    res.status(201).json({
-      success: true,
-      token,
-      refreshToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      }
-    });
+    res.status(201).json(session);
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -185,31 +508,30 @@ app.post('/login', async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate tokens
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+    // Users with two-factor authentication get a challenge instead of tokens, and finish
+    // signing in at /login/two-factor with a code from their authenticator app
+    if (user.twoFactor.enabled) {
+      const challengeToken = await issueAccountToken(user, 'TWO_FACTOR_LOGIN', TWO_FACTOR_CHALLENGE_MINUTES * 60 * 1000);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
 
-    // Store refresh token
-    await Token.create({ userId: user._id, token: refreshToken });
+    // Users whose role requires two-factor authentication must enrol before they get tokens
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      const challengeToken = await issueAccountToken(user, 'TWO_FACTOR_SETUP', TWO_FACTOR_CHALLENGE_MINUTES * 60 * 1000);
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken
+      });
+    }
 
-    // Return user and tokens
-    res.json({
-      success: true,
-      token,
-      refreshToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      }
-    });
+    // Update last login, generate tokens and return them with the user
+    res.json(await completeSignIn(user));
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -264,7 +586,7 @@ app.post('/refresh-token', async (req, res) => {
     }
 
     // Generate new tokens
-    const newToken = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const { token: newToken } = await issueAccessToken(user);
     const newRefreshToken = jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
 
     // Replace old refresh token
@@ -355,6 +677,8 @@ app.get('/me', async (req, res) => {
         phone: user.phone,
         role: user.role,
         permissions: user.permissions,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -371,6 +695,1052 @@ app.get('/me', async (req, res) => {
   }
 });
 
+// Forgot password endpoint. The response is the same whether or not the email belongs to
+// an account, so it cannot be used to find out who has one.
+app.post('/forgot-password', [
+  body('email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (user) {
+      const token = await issueAccountToken(user, 'PASSWORD_RESET', PASSWORD_RESET_TOKEN_MINUTES * 60 * 1000);
+      await sendAccountEmail(user, 'password-reset', {
+        firstName: user.firstName,
+        resetUrl: `${appUrl}/reset-password?token=${token}`,
+        expiresInMinutes: String(PASSWORD_RESET_TOKEN_MINUTES)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent to it'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Reset password endpoint
+app.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const accountToken = await consumeAccountToken(req.body.token, 'PASSWORD_RESET');
+    const user = accountToken && await User.findById(accountToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Password reset link is invalid or has expired'
+        }
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(req.body.password, salt);
+    // The reset link reached the user's inbox, which confirms the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    user.updatedAt = new Date();
+    await user.save();
+
+    // Sign the user out everywhere, in case the old password was compromised
+    await Token.deleteMany({ userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Verify email endpoint
+app.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const accountToken = await consumeAccountToken(req.body.token, 'EMAIL_VERIFICATION');
+    const user = accountToken && await User.findById(accountToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Verification link is invalid or has expired'
+        }
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.updatedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Resend verification email endpoint; like forgot password, the response does not reveal
+// whether the email belongs to an account
+app.post('/resend-verification', [
+  body('email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If this email belongs to an unverified account, a new verification link has been sent to it'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Complete a two-factor sign-in with a code from the authenticator app or a recovery code
+app.post('/login/two-factor', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const challenge = await claimChallengeAttempt(req.body.challengeToken, 'TWO_FACTOR_LOGIN');
+    const user = challenge && await User.findById(challenge.userId);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Sign-in has expired or had too many attempts. Please sign in again.'
+        }
+      });
+    }
+
+    const method = await useSecondFactor(user, req.body.code);
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Invalid authentication code'
+        }
+      });
+    }
+
+    // The challenge is single use; a parallel request that already used it wins
+    if (!(await AccountToken.findOneAndDelete({ _id: challenge._id }))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Sign-in has expired or had too many attempts. Please sign in again.'
+        }
+      });
+    }
+
+    const session = await completeSignIn(user);
+    if (method === 'recovery') {
+      const usedHash = hashRecoveryCode(req.body.code);
+      session.recoveryCodesRemaining = user.twoFactor.recoveryCodes
+        .filter(code => !code.usedAt && code.codeHash !== usedHash).length;
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Start two-factor enrolment: generate a secret for the user's authenticator app. Used by
+// signed-in users, and at sign-in by users whose role requires two-factor authentication
+// (with the challenge token /login returned).
+app.post('/two-factor/setup', [
+  body('challengeToken').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    let user;
+    if (req.body.challengeToken) {
+      const challenge = await findChallenge(req.body.challengeToken, 'TWO_FACTOR_SETUP');
+      user = challenge && await User.findById(challenge.userId);
+    } else {
+      user = await getBearerUser(req);
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: req.body.challengeToken
+            ? 'Sign-in has expired or had too many attempts. Please sign in again.'
+            : 'Authentication token required'
+        }
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Two-factor authentication is already enabled'
+        }
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    user.updatedAt = new Date();
+    await user.save();
+
+    const url = otpauthUrl(secret, user.email, twoFactorIssuer);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: url,
+        qrImageUrl: await QRCode.toDataURL(url)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Finish two-factor enrolment by confirming a code from the authenticator app. Returns the
+// recovery codes, which are shown only this once; at sign-in it also returns the tokens.
+app.post('/two-factor/enable', [
+  body('challengeToken').optional().isString(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    let challenge = null;
+    let user;
+    if (req.body.challengeToken) {
+      challenge = await claimChallengeAttempt(req.body.challengeToken, 'TWO_FACTOR_SETUP');
+      user = challenge && await User.findById(challenge.userId);
+    } else {
+      user = await getBearerUser(req);
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: req.body.challengeToken
+            ? 'Sign-in has expired or had too many attempts. Please sign in again.'
+            : 'Authentication token required'
+        }
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Two-factor authentication is already enabled'
+        }
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Start two-factor setup before enabling it'
+        }
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid authentication code'
+        }
+      });
+    }
+
+    if (challenge && !(await AccountToken.findOneAndDelete({ _id: challenge._id }))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Sign-in has expired or had too many attempts. Please sign in again.'
+        }
+      });
+    }
+
+    const { codes, recoveryCodes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes,
+      enabledAt: new Date()
+    };
+    user.updatedAt = new Date();
+    await user.save();
+
+    if (challenge) {
+      return res.json({
+        ...(await completeSignIn(user)),
+        recoveryCodes: codes
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Replace the signed-in user's recovery codes; the old ones stop working
+app.post('/two-factor/recovery-codes', [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await getBearerUser(req);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Authentication token required'
+        }
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Two-factor authentication is not enabled'
+        }
+      });
+    }
+
+    if (!(await useSecondFactor(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid authentication code'
+        }
+      });
+    }
+
+    const { codes, recoveryCodes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes, updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Turn off two-factor authentication for the signed-in user, unless their role requires it
+app.post('/two-factor/disable', [
+  body('password').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await getBearerUser(req);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_ERROR',
+          message: 'Authentication token required'
+        }
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Two-factor authentication is not enabled'
+        }
+      });
+    }
+
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Two-factor authentication is required for the ${user.role} role`
+        }
+      });
+    }
+
+    if (!(await bcrypt.compare(req.body.password, user.password))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Incorrect password'
+        }
+      });
+    }
+
+    if (!(await useSecondFactor(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid authentication code'
+        }
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false, recoveryCodes: [] }, updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Internal user management, used by admin-service. These routes are reachable through
+// the gateway's /api/v1/auth proxy, so callers must present the shared service token.
+const requireServiceToken = (req, res, next) => {
+  const serviceToken = process.env.INTERNAL_SERVICE_TOKEN;
+  if (!serviceToken || req.headers['x-service-token'] !== serviceToken) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'AUTHORIZATION_ERROR',
+        message: 'Internal endpoint'
+      }
+    });
+  }
+  next();
+};
+
+// User as returned by the internal endpoints (never includes the password hash)
+const toUserResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  phone: user.phone,
+  role: user.role,
+  permissions: user.permissions,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+app.use('/internal', requireServiceToken);
+
+// List users
+app.get('/internal/users', [
+  query('role').optional().isIn(ROLES),
+  query('isActive').optional().isBoolean(),
+  query('search').optional().isString(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.search) {
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      },
+      data: users.map(toUserResponse)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Get a user
+app.get('/internal/users/:userId', [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Create a user with any role
+app.post('/internal/users', [
+  body('username').isAlphanumeric().isLength({ min: 4 }),
+  body('email').isEmail(),
+  body('password').isLength({ min: 8 }),
+  body('firstName').notEmpty(),
+  body('lastName').notEmpty(),
+  body('phone').optional().isMobilePhone(),
+  body('role').isIn(ROLES),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(PERMISSION_NAMES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const existingUser = await User.findOne({
+      $or: [{ email: req.body.email }, { username: req.body.username }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_ERROR',
+          message: 'User already exists with this email or username'
+        }
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+    const user = await User.create({
+      username: req.body.username,
+      email: req.body.email,
+      password: hashedPassword,
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      phone: req.body.phone,
+      role: req.body.role,
+      permissions: req.body.permissions || []
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error(error);
+
+    // A concurrent create with the same email or username loses on the unique index
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_ERROR',
+          message: 'User already exists with this email or username'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * Apply role, permission and active-state changes to a user. Deactivated users lose
+ * their refresh tokens, so they are signed out once their access token expires.
+ * @param {object} user - User document
+ * @param {object} input - role, permissions and/or isActive
+ * @returns {Promise<object>} - Changed fields as { old, new }
+ */
+async function applyUserChanges(user, input) {
+  const changes = {};
+
+  if (input.role !== undefined && input.role !== user.role) {
+    changes.role = { old: user.role, new: input.role };
+    user.role = input.role;
+  }
+
+  if (input.permissions !== undefined) {
+    const permissions = [...new Set(input.permissions)];
+    const current = [...user.permissions];
+    if (permissions.length !== current.length || permissions.some(permission => !current.includes(permission))) {
+      changes.permissions = { old: current, new: permissions };
+      user.permissions = permissions;
+    }
+  }
+
+  if (input.isActive !== undefined && input.isActive !== user.isActive) {
+    changes.isActive = { old: user.isActive, new: input.isActive };
+    user.isActive = input.isActive;
+  }
+
+  if (Object.keys(changes).length > 0) {
+    user.updatedAt = new Date();
+    await user.save();
+  }
+
+  if (changes.isActive && !user.isActive) {
+    await Token.deleteMany({ userId: user._id });
+  }
+
+  return changes;
+}
+
+// Update a user's role, permissions or active state
+app.put('/internal/users/:userId', [
+  param('userId').isMongoId(),
+  body('role').optional().isIn(ROLES),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(PERMISSION_NAMES),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const changes = await applyUserChanges(user, {
+      role: req.body.role,
+      permissions: req.body.permissions,
+      isActive: req.body.isActive
+    });
+
+    res.json({
+      success: true,
+      data: toUserResponse(user),
+      changes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Deactivate a user
+app.post('/internal/users/:userId/deactivate', [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const changes = await applyUserChanges(user, { isActive: false });
+
+    res.json({
+      success: true,
+      data: toUserResponse(user),
+      changes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Reset a user's two-factor authentication and sign them out; they enrol again when
+// they next sign in if their role requires it
+app.post('/internal/users/:userId/reset-two-factor', [
+  param('userId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const changes = {};
+    if (user.twoFactor.enabled) {
+      changes.twoFactorEnabled = { old: true, new: false };
+      user.twoFactor = { enabled: false, recoveryCodes: [] };
+      user.updatedAt = new Date();
+      await user.save();
+      await Token.deleteMany({ userId: user._id });
+    }
+
+    res.json({
+      success: true,
+      data: toUserResponse(user),
+      changes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Auth Service running on port ${PORT}`);
 });
\ No newline at end of file
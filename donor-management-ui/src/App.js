@@ -3,6 +3,10 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import TwoFactorSettings from './components/auth/TwoFactorSettings';
 import Dashboard from './components/Dashboard';
 import DonorList from './components/donors/DonorList';
 import DonorForm from './components/donors/DonorForm';
@@ -23,9 +27,13 @@ const App = () => {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         
         <Route path="/" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
         <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
+        <Route path="/account/security" element={<ProtectedRoute><TwoFactorSettings /></ProtectedRoute>} />
         
         <Route path="/donors" element={<ProtectedRoute><DonorList /></ProtectedRoute>} />
         <Route path="/donors/new" element={<ProtectedRoute><DonorForm /></ProtectedRoute>} />
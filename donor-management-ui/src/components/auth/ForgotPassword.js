@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Form, Button, Container, Card, Alert } from 'react-bootstrap';
+import { forgotPassword } from '../../services/authService';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await forgotPassword(email);
+      setMessage(response.message);
+    } catch (error) {
+      setError(error.error?.message || 'Failed to send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="d-flex align-items-center justify-content-center" style={{ minHeight: '100vh' }}>
+      <Card className="auth-container w-100">
+        <Card.Body>
+          <div className="auth-logo text-primary">Donor Management System</div>
+          <h4 className="text-center mb-4">Forgot Password</h4>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {message ? (
+            <Alert variant="success">{message}</Alert>
+          ) : (
+            <Form onSubmit={handleSubmit}>
+              <p className="text-muted">
+                Enter the email address for your account and we will send you a link to reset your password.
+              </p>
+              <Form.Group className="mb-3">
+                <Form.Label>Email</Form.Label>
+                <Form.Control
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                />
+              </Form.Group>
+              <Button
+                variant="primary"
+                type="submit"
+                className="w-100 mt-3"
+                disabled={loading}
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </Form>
+          )}
+          <div className="text-center mt-3">
+            <small>
+              Remembered it? <Link to="/login">Sign in</Link>
+            </small>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
@@ -4,12 +4,17 @@ import { Form, Button, Container, Card, Alert } from 'react-bootstrap';
 import { login } from '../../services/authService';
 import { AuthContext } from '../../context/AuthContext';
 import { Link } from 'react-router-dom';
+import TwoFactorVerify from './TwoFactorVerify';
+import TwoFactorSetup from './TwoFactorSetup';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the password was accepted but two-factor authentication is still to come:
+  // { type: 'verify' | 'setup', token }
+  const [challenge, setChallenge] = useState(null);
   const navigate = useNavigate();
   const { setUser } = useContext(AuthContext);
 
@@ -20,15 +25,64 @@ const Login = () => {
 
     try {
       const response = await login({ email, password });
-      setUser(response.user);
-      navigate('/dashboard');
+      if (response.twoFactorRequired) {
+        setChallenge({ type: 'verify', token: response.challengeToken });
+      } else if (response.twoFactorSetupRequired) {
+        setChallenge({ type: 'setup', token: response.challengeToken });
+      } else {
+        completeSignIn(response);
+      }
     } catch (error) {
-      setError(error.message || 'Failed to login. Please check your credentials.');
+      setError(error.error?.message || error.message || 'Failed to login. Please check your credentials.');
     } finally {
       setLoading(false);
     }
   };
 
+  const completeSignIn = (response) => {
+    setUser(response.user);
+    navigate('/dashboard');
+  };
+
+  const cancelChallenge = () => {
+    setChallenge(null);
+    setPassword('');
+  };
+
+  if (challenge) {
+    return (
+      <Container className="d-flex align-items-center justify-content-center" style={{ minHeight: '100vh' }}>
+        <Card className="auth-container w-100">
+          <Card.Body>
+            <div className="auth-logo text-primary">Donor Management System</div>
+            {challenge.type === 'verify' ? (
+              <TwoFactorVerify
+                challengeToken={challenge.token}
+                onSuccess={completeSignIn}
+                onCancel={cancelChallenge}
+              />
+            ) : (
+              <>
+                <h4 className="text-center mb-4">Set Up Two-Factor Authentication</h4>
+                <p className="text-muted">
+                  Your account requires two-factor authentication. Set it up to finish signing in.
+                </p>
+                <TwoFactorSetup challengeToken={challenge.token} onComplete={completeSignIn} />
+                <div className="text-center mt-3">
+                  <small>
+                    <Button variant="link" size="sm" className="p-0" onClick={cancelChallenge}>
+                      Back to sign in
+                    </Button>
+                  </small>
+                </div>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      </Container>
+    );
+  }
+
   return (
     <Container className="d-flex align-items-center justify-content-center" style={{ minHeight: '100vh' }}>
       <Card className="auth-container w-100">
@@ -65,6 +119,11 @@ const Login = () => {
             </Button>
           </Form>
           <div className="text-center mt-3">
+            <small>
+              <Link to="/forgot-password">Forgot your password?</Link>
+            </small>
+          </div>
+          <div className="text-center mt-2">
             <small>
               Don't have an account? <Link to="/register">Register</Link>
             </small>
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Alert, Row, Col } from 'react-bootstrap';
+
+// Recovery codes are only shown once, right after they are generated
+const RecoveryCodes = ({ codes }) => {
+  return (
+    <Alert variant="warning">
+      <p className="mb-2">
+        <strong>Save these recovery codes somewhere safe.</strong> Each one can be used once to sign in
+        if you lose access to your authenticator app. They will not be shown again.
+      </p>
+      <Row className="font-monospace">
+        {codes.map(code => (
+          <Col xs={6} key={code}>{code}</Col>
+        ))}
+      </Row>
+    </Alert>
+  );
+};
+
+export default RecoveryCodes;
@@ -96,6 +96,9 @@ const Register = () => {
                 onChange={handleChange}
                 required
               />
+              <Form.Text className="text-muted">
+                We will email you a link to confirm this address.
+              </Form.Text>
             </Form.Group>
             <Form.Group className="mb-3">
               <Form.Label>Phone</Form.Label>
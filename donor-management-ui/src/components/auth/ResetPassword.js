@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Form, Button, Container, Card, Alert } from 'react-bootstrap';
+import { resetPassword } from '../../services/authService';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await resetPassword(token, password);
+      setMessage(response.message);
+    } catch (error) {
+      setError(error.error?.message || 'Failed to reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container className="d-flex align-items-center justify-content-center" style={{ minHeight: '100vh' }}>
+      <Card className="auth-container w-100">
+        <Card.Body>
+          <div className="auth-logo text-primary">Donor Management System</div>
+          <h4 className="text-center mb-4">Reset Password</h4>
+          {!token ? (
+            <Alert variant="danger">
+              This password reset link is incomplete. Please use the link from your email, or{' '}
+              <Link to="/forgot-password">request a new one</Link>.
+            </Alert>
+          ) : message ? (
+            <Alert variant="success">{message}</Alert>
+          ) : (
+            <>
+              {error && (
+                <Alert variant="danger">
+                  {error} <Link to="/forgot-password">Request a new link</Link>
+                </Alert>
+              )}
+              <Form onSubmit={handleSubmit}>
+                <Form.Group className="mb-3">
+                  <Form.Label>New Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength="8"
+                  />
+                  <Form.Text className="text-muted">
+                    Password must be at least 8 characters long.
+                  </Form.Text>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Confirm New Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    minLength="8"
+                  />
+                </Form.Group>
+                <Button
+                  variant="primary"
+                  type="submit"
+                  className="w-100 mt-3"
+                  disabled={loading}
+                >
+                  {loading ? 'Resetting...' : 'Reset Password'}
+                </Button>
+              </Form>
+            </>
+          )}
+          <div className="text-center mt-3">
+            <small>
+              <Link to="/login">Back to sign in</Link>
+            </small>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Form, Button, Alert, Badge, Spinner } from 'react-bootstrap';
+import { toast } from 'react-toastify';
+import Layout from '../layout/Layout';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+import { getCurrentUser, regenerateRecoveryCodes, disableTwoFactor } from '../../services/authService';
+
+const TwoFactorSettings = () => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [settingUp, setSettingUp] = useState(false);
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null);
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchUser();
+  }, []);
+
+  const fetchUser = async () => {
+    try {
+      setLoading(true);
+      setUser(await getCurrentUser());
+    } catch (error) {
+      setError(error.error?.message || 'Failed to load your account');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetupComplete = () => {
+    setSettingUp(false);
+    toast.success('Two-factor authentication enabled');
+    fetchUser();
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const result = await regenerateRecoveryCodes(regenerateCode.trim());
+      setNewRecoveryCodes(result.recoveryCodes);
+      setRegenerateCode('');
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      await disableTwoFactor(disableForm.password, disableForm.code.trim());
+      setDisableForm({ password: '', code: '' });
+      setNewRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      fetchUser();
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <Container className="text-center py-5">
+          <Spinner animation="border" role="status" />
+        </Container>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <Container className="py-4">
+        <h2 className="mb-4">Account Security</h2>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {user && (
+          <Card className="mb-4">
+            <Card.Header>
+              Two-Factor Authentication{' '}
+              {user.twoFactorEnabled
+                ? <Badge bg="success">Enabled</Badge>
+                : <Badge bg="secondary">Disabled</Badge>}
+            </Card.Header>
+            <Card.Body>
+              {!user.twoFactorEnabled && (
+                settingUp ? (
+                  <TwoFactorSetup onComplete={handleSetupComplete} />
+                ) : (
+                  <>
+                    <p>
+                      Protect your account with a code from an authenticator app in addition to your password.
+                    </p>
+                    <Button variant="primary" onClick={() => setSettingUp(true)}>
+                      Set Up Two-Factor Authentication
+                    </Button>
+                  </>
+                )
+              )}
+
+              {user.twoFactorEnabled && (
+                <>
+                  <h5>Recovery Codes</h5>
+                  {newRecoveryCodes ? (
+                    <RecoveryCodes codes={newRecoveryCodes} />
+                  ) : (
+                    <p className="text-muted">
+                      Generate new recovery codes if you have used most of yours or think they have been seen
+                      by someone else. Your current codes will stop working.
+                    </p>
+                  )}
+                  <Form onSubmit={handleRegenerate} className="mb-4">
+                    <Form.Group className="mb-3">
+                      <Form.Label>Authentication Code</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={regenerateCode}
+                        onChange={(e) => setRegenerateCode(e.target.value)}
+                        placeholder="123456"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        required
+                      />
+                    </Form.Group>
+                    <Button variant="outline-primary" type="submit" disabled={submitting}>
+                      Generate New Recovery Codes
+                    </Button>
+                  </Form>
+
+                  <h5>Disable Two-Factor Authentication</h5>
+                  <p className="text-muted">
+                    Accounts whose role requires two-factor authentication cannot disable it.
+                  </p>
+                  <Form onSubmit={handleDisable}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        value={disableForm.password}
+                        onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                        required
+                      />
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Authentication or Recovery Code</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={disableForm.code}
+                        onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                        autoComplete="one-time-code"
+                        required
+                      />
+                    </Form.Group>
+                    <Button variant="outline-danger" type="submit" disabled={submitting}>
+                      Disable Two-Factor Authentication
+                    </Button>
+                  </Form>
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        )}
+      </Container>
+    </Layout>
+  );
+};
+
+export default TwoFactorSettings;
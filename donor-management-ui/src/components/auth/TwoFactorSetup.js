@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { setupTwoFactor, enableTwoFactor } from '../../services/authService';
+import RecoveryCodes from './RecoveryCodes';
+
+// Two-factor enrolment: scan the QR code, confirm a code, then save the recovery codes.
+// With a challengeToken this is part of signing in, for users whose role requires two-factor
+// authentication; onComplete then receives the session returned by the auth service.
+const TwoFactorSetup = ({ challengeToken, onComplete }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [enabling, setEnabling] = useState(false);
+  // Each setup request generates a new secret, so only request one
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const startSetup = async () => {
+      try {
+        setSetup(await setupTwoFactor(challengeToken));
+      } catch (error) {
+        setError(error.error?.message || 'Failed to start two-factor setup.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setEnabling(true);
+
+    try {
+      setResult(await enableTwoFactor(code.trim(), challengeToken));
+    } catch (error) {
+      setError(error.error?.message || 'Failed to enable two-factor authentication.');
+      setCode('');
+    } finally {
+      setEnabling(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center">
+        <Spinner animation="border" role="status" />
+      </div>
+    );
+  }
+
+  if (result) {
+    return (
+      <>
+        <Alert variant="success">Two-factor authentication is now enabled.</Alert>
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <Button variant="primary" className="w-100" onClick={() => onComplete(result)}>
+          I have saved my recovery codes
+        </Button>
+      </>
+    );
+  }
+
+  return (
+    <>
+      {error && <Alert variant="danger">{error}</Alert>}
+      {setup && (
+        <>
+          <p>
+            Scan this QR code with an authenticator app such as Google Authenticator or Microsoft
+            Authenticator, then enter the 6-digit code it shows.
+          </p>
+          <div className="text-center mb-3">
+            <img src={setup.qrImageUrl} alt="Two-factor authentication QR code" style={{ width: 200, height: 200 }} />
+          </div>
+          <p className="small text-muted">
+            Can't scan the code? Enter this key in your app instead:{' '}
+            <span className="font-monospace text-break">{setup.secret}</span>
+          </p>
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className="mb-3">
+              <Form.Label>Authentication Code</Form.Label>
+              <Form.Control
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+              />
+            </Form.Group>
+            <Button
+              variant="primary"
+              type="submit"
+              className="w-100"
+              disabled={enabling}
+            >
+              {enabling ? 'Enabling...' : 'Enable Two-Factor Authentication'}
+            </Button>
+          </Form>
+        </>
+      )}
+    </>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { verifyTwoFactorLogin } from '../../services/authService';
+
+// Second step of signing in for accounts with two-factor authentication
+const TwoFactorVerify = ({ challengeToken, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await verifyTwoFactorLogin(challengeToken, code.trim());
+      onSuccess(response);
+    } catch (error) {
+      setError(error.error?.message || 'Failed to verify the code. Please try again.');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <>
+      <h4 className="text-center mb-4">Two-Factor Authentication</h4>
+      {error && <Alert variant="danger">{error}</Alert>}
+      <Form onSubmit={handleSubmit}>
+        <Form.Group className="mb-3">
+          <Form.Label>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Form.Label>
+          <Form.Control
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+          />
+          <Form.Text className="text-muted">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </Form.Text>
+        </Form.Group>
+        <Button
+          variant="primary"
+          type="submit"
+          className="w-100 mt-3"
+          disabled={loading}
+        >
+          {loading ? 'Verifying...' : 'Verify'}
+        </Button>
+      </Form>
+      <div className="text-center mt-3">
+        <small>
+          <Button variant="link" size="sm" className="p-0" onClick={toggleRecoveryCode}>
+            {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+          </Button>
+          {' · '}
+          <Button variant="link" size="sm" className="p-0" onClick={onCancel}>
+            Back to sign in
+          </Button>
+        </small>
+      </div>
+    </>
+  );
+};
+
+export default TwoFactorVerify;
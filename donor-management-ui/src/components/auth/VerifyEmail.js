@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Form, Button, Container, Card, Alert, Spinner } from 'react-bootstrap';
+import { verifyEmail, resendVerification } from '../../services/authService';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [verifying, setVerifying] = useState(Boolean(token));
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete. Please use the link from your email.');
+  const [email, setEmail] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const [resending, setResending] = useState(false);
+  // Tokens are single use, so the link must only be submitted once
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setMessage(response.message);
+      } catch (error) {
+        setError(error.error?.message || 'Failed to verify email address.');
+      } finally {
+        setVerifying(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setResending(true);
+
+    try {
+      const response = await resendVerification(email);
+      setResendMessage(response.message);
+    } catch (error) {
+      setError(error.error?.message || 'Failed to send a new verification link.');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <Container className="d-flex align-items-center justify-content-center" style={{ minHeight: '100vh' }}>
+      <Card className="auth-container w-100">
+        <Card.Body>
+          <div className="auth-logo text-primary">Donor Management System</div>
+          <h4 className="text-center mb-4">Verify Email</h4>
+          {verifying ? (
+            <div className="text-center">
+              <Spinner animation="border" role="status" />
+              <p className="mt-2">Verifying your email address...</p>
+            </div>
+          ) : message ? (
+            <Alert variant="success">{message}</Alert>
+          ) : (
+            <>
+              {error && <Alert variant="danger">{error}</Alert>}
+              {resendMessage ? (
+                <Alert variant="success">{resendMessage}</Alert>
+              ) : (
+                <Form onSubmit={handleResend}>
+                  <p className="text-muted">Enter your email address to get a new verification link.</p>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      required
+                    />
+                  </Form.Group>
+                  <Button
+                    variant="primary"
+                    type="submit"
+                    className="w-100 mt-3"
+                    disabled={resending}
+                  >
+                    {resending ? 'Sending...' : 'Send New Link'}
+                  </Button>
+                </Form>
+              )}
+            </>
+          )}
+          <div className="text-center mt-3">
+            <small>
+              <Link to="/login">Go to sign in</Link>
+            </small>
+          </div>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
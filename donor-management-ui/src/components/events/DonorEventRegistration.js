@@ -1,11 +1,25 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Form, Button, Card, Row, Col, Alert, Table } from 'react-bootstrap';
+import { Container, Form, Button, ButtonGroup, Card, Row, Col, Alert, Table } from 'react-bootstrap';
 import { useNavigate, useParams } from 'react-router-dom';
 import Layout from '../layout/Layout';
-import { getEventById, registerDonorForEvent } from '../../services/eventService';
+import SeatMap from './SeatMap';
+import {
+  getEventById,
+  getEventAttendees,
+  getEventSeats,
+  moveAttendeeSeat,
+  registerDonorForEvent,
+  setSeatBlock
+} from '../../services/eventService';
 import { getAllDonors } from '../../services/donorService';
 import { toast } from 'react-toastify';
 
+const VIP_BLOCK = 'VIP';
+
+const formatSeat = (seat) => `${seat.section} ${seat.row}-${seat.number}`;
+
+const formatPrice = (price) => (price > 0 ? `₹${price.toLocaleString()}` : 'Free');
+
 const DonorEventRegistration = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -16,6 +30,30 @@ const DonorEventRegistration = () => {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [seats, setSeats] = useState([]);
+  const [attendees, setAttendees] = useState([]);
+  const [seatMode, setSeatMode] = useState('assign'); // assign | move | block
+  const [selectedSeat, setSelectedSeat] = useState(null);
+  const [moveSource, setMoveSource] = useState(null);
+  const [blockSelection, setBlockSelection] = useState([]);
+  const [seatActionPending, setSeatActionPending] = useState(false);
+  const [ticketTierId, setTicketTierId] = useState('');
+  const [payment, setPayment] = useState({ paymentMethod: 'CASH', transactionReference: '' });
+
+  // Fetch the seat map and the registrations that hold its seats
+  const fetchSeating = useCallback(async () => {
+    try {
+      const [seatResponse, attendeeResponse] = await Promise.all([
+        getEventSeats(id),
+        getEventAttendees(id)
+      ]);
+      setSeats(seatResponse.data || []);
+      setAttendees(attendeeResponse.data || []);
+    } catch (error) {
+      console.error('Error fetching seats:', error);
+      toast.error('Failed to load the seat map');
+    }
+  }, [id]);
 
   // Fetch event details
   useEffect(() => {
@@ -23,6 +61,10 @@ const DonorEventRegistration = () => {
       try {
         const eventData = await getEventById(id);
         setEvent(eventData);
+
+        if (!eventData.seatingLayout || eventData.seatingLayout.template !== 'open') {
+          await fetchSeating();
+        }
       } catch (error) {
         console.error('Error fetching event:', error);
         setError('Failed to load event data');
@@ -32,7 +74,7 @@ const DonorEventRegistration = () => {
     };
 
     fetchEventData();
-  }, [id]);
+  }, [id, fetchSeating]);
 
   // Fetch donors based on search term
   const fetchDonors = useCallback(async () => {
@@ -69,6 +111,107 @@ const DonorEventRegistration = () => {
     setSelectedDonor(donorId);
   };
 
+  // A tier limited to a section only sells seats in that section
+  const handleTicketTierChange = (tierId) => {
+    const tier = (event.ticketTiers || []).find(t => t.id === tierId);
+    setTicketTierId(tierId);
+    setSelectedSeat(current =>
+      (current && tier && tier.section && current.section !== tier.section ? null : current));
+  };
+
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSeatModeChange = (mode) => {
+    setSeatMode(mode);
+    setSelectedSeat(null);
+    setMoveSource(null);
+    setBlockSelection([]);
+  };
+
+  // Registration holding a reserved seat
+  const findSeatAttendee = (seat) => {
+    if (!seat.assignedTo) return null;
+    return attendees.find(attendee =>
+      attendee.donor &&
+      attendee.donor.id === seat.assignedTo.id &&
+      ['REGISTERED', 'CONFIRMED'].includes(attendee.status)
+    ) || null;
+  };
+
+  const isSeatSelectable = (seat) => {
+    if (seatActionPending) return false;
+    if (seatMode === 'assign') {
+      const tier = (event.ticketTiers || []).find(t => t.id === ticketTierId);
+      return seat.status === 'AVAILABLE' && !(tier && tier.section && seat.section !== tier.section);
+    }
+    if (seatMode === 'move') {
+      return moveSource
+        ? seat.status === 'AVAILABLE' || seat.id === moveSource.id
+        : seat.status === 'RESERVED';
+    }
+    return true;
+  };
+
+  const handleMoveSeat = async (fromSeat, toSeat) => {
+    const attendee = findSeatAttendee(fromSeat);
+    if (!attendee) {
+      toast.error('Could not find the registration for this seat');
+      return;
+    }
+
+    setSeatActionPending(true);
+    try {
+      await moveAttendeeSeat(id, attendee.id, toSeat.id);
+      toast.success(`Moved to seat ${formatSeat(toSeat)}. A new ticket has been issued.`);
+      setMoveSource(null);
+      await fetchSeating();
+    } catch (error) {
+      console.error('Error moving seat:', error);
+      toast.error(error.error?.message || 'Failed to move seat');
+    } finally {
+      setSeatActionPending(false);
+    }
+  };
+
+  const handleSeatClick = (seat) => {
+    if (seatMode === 'assign') {
+      setSelectedSeat(current => (current && current.id === seat.id ? null : seat));
+    } else if (seatMode === 'move') {
+      if (!moveSource) {
+        setMoveSource(seat);
+      } else if (seat.id === moveSource.id) {
+        setMoveSource(null);
+      } else {
+        handleMoveSeat(moveSource, seat);
+      }
+    } else {
+      setBlockSelection(current =>
+        current.includes(seat.id) ? current.filter(seatId => seatId !== seat.id) : [...current, seat.id]
+      );
+    }
+  };
+
+  // Hold the selected seats as a VIP block, or release them (block = null)
+  const handleSeatBlock = async (block) => {
+    setSeatActionPending(true);
+    try {
+      const result = await setSeatBlock(id, blockSelection, block);
+      toast.success(block
+        ? `${result.updated} seat(s) reserved as ${block}`
+        : `${result.updated} seat(s) released to general seating`);
+      setBlockSelection([]);
+      await fetchSeating();
+    } catch (error) {
+      console.error('Error updating seat block:', error);
+      toast.error(error.error?.message || 'Failed to update seats');
+    } finally {
+      setSeatActionPending(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -76,13 +219,31 @@ const DonorEventRegistration = () => {
       setError('Please select a donor');
       return;
     }
+
+    const ticketTier = (event.ticketTiers || []).find(tier => tier.id === ticketTierId);
+    if (event.ticketTiers && event.ticketTiers.length > 0 && !ticketTier) {
+      setError('Please select a ticket tier');
+      return;
+    }
     
     setSubmitting(true);
     setError('');
 
     try {
-      await registerDonorForEvent(id, { donorId: selectedDonor });
-      toast.success('Donor registered successfully for the event');
+      const registration = await registerDonorForEvent(id, {
+        donorId: selectedDonor,
+        ...(selectedSeat && { seatId: selectedSeat.id }),
+        ...(ticketTier && { ticketTierId: ticketTier.id }),
+        ...(ticketTier && ticketTier.price > 0 && {
+          paymentMethod: payment.paymentMethod,
+          ...(payment.transactionReference && { transactionReference: payment.transactionReference })
+        })
+      });
+      toast.success(registration.attendance.status === 'WAITLISTED'
+        ? `Event is full. Donor added to the waitlist at position ${registration.attendance.waitlistPosition}`
+        : registration.donation
+          ? `Donor registered. Ticket payment of ${formatPrice(registration.donation.amount)} recorded as a donation`
+          : 'Donor registered successfully for the event');
       navigate(`/events/${id}`);
     } catch (error) {
       console.error('Error registering donor:', error);
@@ -123,8 +284,24 @@ const DonorEventRegistration = () => {
   // Check if event is full
   const isEventFull = event.registeredCount >= event.maxCapacity;
 
-  // Check if event is not scheduled
-  const cannotRegister = event.status !== 'SCHEDULED' || isEventFull;
+  // Ticketed events have no waitlist: a full ticketed event is sold out
+  const ticketTiers = event.ticketTiers || [];
+  const hasTicketTiers = ticketTiers.length > 0;
+  const selectedTier = ticketTiers.find(tier => tier.id === ticketTierId) || null;
+  const isSoldOut = hasTicketTiers && isEventFull;
+
+  // Check if event is not scheduled (full events still take waitlist registrations)
+  const cannotRegister = event.status !== 'SCHEDULED' || isSoldOut;
+
+  const isOpenFloor = event.seatingLayout && event.seatingLayout.template === 'open';
+
+  const seatModeHelp = {
+    assign: 'Pick a seat for the donor being registered, or leave it empty to assign the next free seat. Held VIP seats are only assigned when picked here.',
+    move: moveSource
+      ? `Moving ${formatSeat(moveSource)}: pick an available seat.`
+      : 'Pick a reserved seat to move its donor.',
+    block: 'Select seats to reserve as a VIP block for major donors, or to release back to general seating.'
+  };
 
   return (
     <Layout>
@@ -133,12 +310,17 @@ const DonorEventRegistration = () => {
 
         {error && <Alert variant="danger">{error}</Alert>}
 
-        {cannotRegister && (
+        {cannotRegister ? (
           <Alert variant="warning">
-            {isEventFull 
-              ? 'This event has reached its maximum capacity.' 
+            {isSoldOut
+              ? 'This event is sold out.'
               : `Cannot register donors for events with status: ${event.status}`}
           </Alert>
+        ) : isEventFull && (
+          <Alert variant="info">
+            This event has reached its maximum capacity. Donors registered now join the waitlist
+            and are given a seat automatically when a place opens up.
+          </Alert>
         )}
 
         <Card className="mb-4">
@@ -166,6 +348,72 @@ const DonorEventRegistration = () => {
           </Card.Body>
         </Card>
 
+        {!isOpenFloor && (
+          <Card className="mb-4">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="mb-0">Seat Map</h5>
+                <ButtonGroup size="sm">
+                  <Button
+                    variant={seatMode === 'assign' ? 'primary' : 'outline-primary'}
+                    onClick={() => handleSeatModeChange('assign')}
+                  >
+                    Pick Seat
+                  </Button>
+                  <Button
+                    variant={seatMode === 'move' ? 'primary' : 'outline-primary'}
+                    onClick={() => handleSeatModeChange('move')}
+                  >
+                    Move Seat
+                  </Button>
+                  <Button
+                    variant={seatMode === 'block' ? 'primary' : 'outline-primary'}
+                    onClick={() => handleSeatModeChange('block')}
+                  >
+                    VIP Blocks
+                  </Button>
+                </ButtonGroup>
+              </div>
+
+              <p className="text-muted small">{seatModeHelp[seatMode]}</p>
+
+              {seatMode === 'block' && (
+                <div className="mb-3">
+                  <Button
+                    variant="warning"
+                    size="sm"
+                    className="me-2"
+                    disabled={blockSelection.length === 0 || seatActionPending}
+                    onClick={() => handleSeatBlock(VIP_BLOCK)}
+                  >
+                    Reserve {blockSelection.length} as VIP
+                  </Button>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    disabled={blockSelection.length === 0 || seatActionPending}
+                    onClick={() => handleSeatBlock(null)}
+                  >
+                    Release {blockSelection.length}
+                  </Button>
+                </div>
+              )}
+
+              <SeatMap
+                seats={seats}
+                selectedSeatIds={
+                  seatMode === 'assign' && selectedSeat ? [selectedSeat.id]
+                    : seatMode === 'move' && moveSource ? [moveSource.id]
+                    : seatMode === 'block' ? blockSelection
+                    : []
+                }
+                onSeatClick={handleSeatClick}
+                isSeatSelectable={isSeatSelectable}
+              />
+            </Card.Body>
+          </Card>
+        )}
+
         <Card>
           <Card.Body>
             <h5 className="mb-3">Donor Selection</h5>
@@ -230,6 +478,75 @@ const DonorEventRegistration = () => {
             )}
 
             <Form onSubmit={handleSubmit} className="mt-4">
+              {hasTicketTiers && (
+                <Row>
+                  <Col md={selectedTier && selectedTier.price > 0 ? 4 : 12}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Ticket Tier</Form.Label>
+                      <Form.Select
+                        value={ticketTierId}
+                        onChange={(e) => handleTicketTierChange(e.target.value)}
+                        required
+                      >
+                        <option value="">Select a ticket tier</option>
+                        {ticketTiers.map(tier => (
+                          <option key={tier.id} value={tier.id} disabled={tier.available === 0}>
+                            {tier.name} · {formatPrice(tier.price)}
+                            {tier.section ? ` · Section ${tier.section}` : ''}
+                            {tier.available === 0 ? ' · Sold out' : ` · ${tier.available} left`}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  {selectedTier && selectedTier.price > 0 && (
+                    <>
+                      <Col md={4}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Payment Method</Form.Label>
+                          <Form.Select
+                            name="paymentMethod"
+                            value={payment.paymentMethod}
+                            onChange={handlePaymentChange}
+                            required
+                          >
+                            <option value="CASH">Cash</option>
+                            <option value="BANK_TRANSFER">Bank Transfer</option>
+                            <option value="CHEQUE">Cheque</option>
+                            <option value="CREDIT_CARD">Credit Card</option>
+                            <option value="UPI">UPI</option>
+                            <option value="OTHER">Other</option>
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                      <Col md={4}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Transaction Reference</Form.Label>
+                          <Form.Control
+                            type="text"
+                            name="transactionReference"
+                            value={payment.transactionReference}
+                            onChange={handlePaymentChange}
+                            placeholder="Transaction ID, Cheque Number, etc."
+                          />
+                        </Form.Group>
+                      </Col>
+                    </>
+                  )}
+                </Row>
+              )}
+              {selectedTier && selectedTier.price > 0 && (
+                <p className="text-muted small">
+                  The {formatPrice(selectedTier.price)} ticket payment is recorded as a donation and receipted automatically.
+                </p>
+              )}
+              {!isOpenFloor && !isEventFull && (
+                <p className="text-muted">
+                  <strong>Seat:</strong> {selectedSeat
+                    ? `${formatSeat(selectedSeat)}${selectedSeat.block ? ` (${selectedSeat.block})` : ''}`
+                    : 'Next available seat'}
+                </p>
+              )}
               <div className="d-flex justify-content-end">
                 <Button
                   variant="secondary"
@@ -249,7 +566,7 @@ const DonorEventRegistration = () => {
                       Registering...
                     </>
                   ) : (
-                    'Register Donor'
+                    isEventFull ? 'Add to Waitlist' : 'Register Donor'
                   )}
                 </Button>
               </div>
@@ -1,11 +1,128 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Card, Row, Col, Button, Form, InputGroup, Table, Badge, Alert } from 'react-bootstrap';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Container, Card, Row, Col, Button, Form, InputGroup, Table, Badge, Alert, Spinner } from 'react-bootstrap';
 import { useNavigate, useParams, Link } from 'react-router-dom';
-import { FaSearch, FaQrcode, FaCheckCircle } from 'react-icons/fa';
+import { FaSearch, FaQrcode, FaCheckCircle, FaTimesCircle, FaList, FaDownload, FaSync } from 'react-icons/fa';
 import Layout from '../layout/Layout';
-import { getEventById, getEventAttendees } from '../../services/eventService';
+import QrScanner from './QrScanner';
+import { getEventById, getEventAttendees, checkInAttendee, markNoShow, syncOfflineCheckIns } from '../../services/eventService';
+import { verifyQrCode, getEventTickets } from '../../services/qrCodeService';
+import {
+  getDeviceId,
+  saveManifest,
+  getManifest,
+  recordCheckIn,
+  getPendingCheckIns,
+  markCheckInsSynced,
+  sha256Hex
+} from '../../utils/offlineCheckInStore';
 import { toast } from 'react-toastify';
 
+// Ignore the same ticket seen again by the camera within this window
+const RESCAN_INTERVAL_MS = 3000;
+
+// Time the scan result stays on screen before the next ticket is read
+const RESULT_DISPLAY_MS = 1500;
+
+// Short beep for an accepted ticket, a low double buzz for a rejected one
+let audioContext = null;
+const playScanCue = (accepted) => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!audioContext) audioContext = new AudioContextClass();
+
+    const tones = accepted ? [{ frequency: 880, start: 0, duration: 0.15 }] : [
+      { frequency: 220, start: 0, duration: 0.2 },
+      { frequency: 220, start: 0.3, duration: 0.2 }
+    ];
+
+    tones.forEach(({ frequency, start, duration }) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = accepted ? 'sine' : 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(audioContext.currentTime + start);
+      oscillator.stop(audioContext.currentTime + start + duration);
+    });
+  } catch (error) {
+    console.error('Error playing scan cue:', error);
+  }
+};
+
+// The request never reached the server (no connectivity or the gateway is down)
+const isNetworkError = (error) => Boolean(error && error.request && !error.response);
+
+// Apply check-ins recorded on this device to an attendee list
+const applyLocalCheckIns = (attendees, checkIns) => {
+  const checkInsByDonor = checkIns.reduce((map, checkIn) => {
+    map[checkIn.donorId] = checkIn;
+    return map;
+  }, {});
+
+  return attendees.map(attendee => {
+    const checkIn = checkInsByDonor[attendee.donor.id];
+    return checkIn && attendee.status !== 'CHECKED_IN'
+      ? { ...attendee, status: 'CHECKED_IN', checkInTime: checkIn.checkInTime }
+      : attendee;
+  });
+};
+
+/**
+ * Verify a scanned ticket against the downloaded manifest. The manifest holds a
+ * SHA-256 hash of each ticket's signature, so a match proves the ticket was issued
+ * by the QR service without the browser holding the signing secret.
+ */
+const verifyTicketOffline = async (qrData, tickets, attendees) => {
+  let payload;
+  try {
+    payload = JSON.parse(qrData);
+  } catch (e) {
+    return { accepted: false, reason: 'Invalid QR code data format' };
+  }
+
+  const ticket = tickets.find(t => t.id === payload.id);
+  if (!ticket || ticket.donorId !== payload.donorId || typeof payload.signature !== 'string') {
+    return { accepted: false, reason: 'Ticket is not valid for this event' };
+  }
+
+  if (await sha256Hex(payload.signature) !== ticket.signatureHash) {
+    return { accepted: false, reason: 'QR code signature is invalid' };
+  }
+
+  if (ticket.status === 'CANCELLED') {
+    return { accepted: false, reason: 'QR code has been cancelled' };
+  }
+
+  if (new Date(ticket.expiresAt) < new Date()) {
+    return { accepted: false, reason: 'QR code has expired' };
+  }
+
+  const attendee = attendees.find(a => a.donor.id === payload.donorId);
+  if (!attendee) {
+    return { accepted: false, reason: 'Donor is not registered for this event' };
+  }
+
+  if (attendee.status === 'CHECKED_IN') {
+    return { accepted: false, reason: 'Donor has already checked in' };
+  }
+
+  if (attendee.status === 'CANCELLED' || attendee.status === 'NO_SHOW') {
+    return { accepted: false, reason: `Cannot check in registration with status ${attendee.status}` };
+  }
+
+  return { accepted: true, attendee, qrCodeId: ticket.id };
+};
+
+// Waitlisted donors have no ticket yet, so they take no part in check-in
+const withTickets = (attendees) => attendees.filter(attendee => attendee.status !== 'WAITLISTED');
+
+const formatSeat = (seat) => {
+  return seat ? `Section ${seat.section} · Row ${seat.row} · Seat ${seat.number}` : 'No seat assigned';
+};
+
 const EventCheckIn = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -13,23 +130,55 @@ const EventCheckIn = () => {
   const [attendees, setAttendees] = useState([]);
   const [filteredAttendees, setFilteredAttendees] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [donorDetailsDegraded, setDonorDetailsDegraded] = useState(false);
+  const [scannerMode, setScannerMode] = useState(false);
+  const [scanPaused, setScanPaused] = useState(false);
+  const [scanResult, setScanResult] = useState(null);
+  const [scanCounts, setScanCounts] = useState({ accepted: 0, rejected: 0 });
+  const lastScanRef = useRef({ data: null, time: 0 });
+  const [offlineMode, setOfflineMode] = useState(false);
+  const [manifest, setManifest] = useState(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [downloading, setDownloading] = useState(false);
+  const [syncing, setSyncing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  // Fetch event and attendees data
+  // Fetch event and attendees data, falling back to the offline copy when the
+  // server cannot be reached
   useEffect(() => {
     const fetchData = async () => {
       setLoading(true);
+
+      let savedManifest = null;
+      let pendingCheckIns = [];
+      try {
+        savedManifest = await getManifest(id);
+        pendingCheckIns = await getPendingCheckIns(id);
+      } catch (storageError) {
+        console.error('Error reading offline check-in data:', storageError);
+      }
+      setManifest(savedManifest || null);
+      setPendingCount(pendingCheckIns.length);
+
       try {
         const eventData = await getEventById(id);
         setEvent(eventData);
         
         const attendeesResponse = await getEventAttendees(id);
-        setAttendees(attendeesResponse.data || []);
-        setFilteredAttendees(attendeesResponse.data || []);
+        setAttendees(applyLocalCheckIns(withTickets(attendeesResponse.data || []), pendingCheckIns));
+        setDonorDetailsDegraded(Boolean(attendeesResponse.degraded));
       } catch (error) {
         console.error('Error fetching data:', error);
-        setError('Failed to load event data');
+
+        if (savedManifest) {
+          setEvent(savedManifest.event);
+          setAttendees(applyLocalCheckIns(savedManifest.attendees, pendingCheckIns));
+          setOfflineMode(true);
+          toast.info('Server unreachable, using the offline copy of this event');
+        } else {
+          setError('Failed to load event data');
+        }
       } finally {
         setLoading(false);
       }
@@ -53,39 +202,197 @@ const EventCheckIn = () => {
       
       return fullName.includes(lowerCaseSearch) || 
              email.includes(lowerCaseSearch) || 
-             phone.includes(lowerCaseSearch);
+             phone.includes(lowerCaseSearch) ||
+             attendee.donor.id === searchTerm.trim();
     });
     
     setFilteredAttendees(filtered);
   }, [searchTerm, attendees]);
 
-  // Mock function to simulate check-in
-  // In a real implementation, this would call an API
-  const handleCheckIn = useCallback(async (attendeeId) => {
-    // Simulate API call with a small delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Update the local state
+  // Mark an attendee as checked in on screen
+  const markCheckedIn = useCallback((donorId, checkInTime) => {
     setAttendees(prevAttendees => 
       prevAttendees.map(attendee => 
-        attendee.id === attendeeId 
-          ? { ...attendee, status: 'CHECKED_IN' } 
+        attendee.donor.id === donorId 
+          ? { ...attendee, status: 'CHECKED_IN', checkInTime } 
           : attendee
       )
     );
-    
-    // Also update filtered attendees
-    setFilteredAttendees(prevAttendees => 
-      prevAttendees.map(attendee => 
-        attendee.id === attendeeId 
-          ? { ...attendee, status: 'CHECKED_IN' } 
-          : attendee
-      )
-    );
-    
-    toast.success('Attendee checked in successfully');
   }, []);
 
+  // Save a check-in on this device until it can be synced
+  const recordLocalCheckIn = useCallback(async (attendee, qrCodeId) => {
+    const checkInTime = new Date().toISOString();
+    await recordCheckIn({
+      clientId: `${getDeviceId()}_${attendee.donor.id}_${Date.now()}`,
+      eventId: id,
+      donorId: attendee.donor.id,
+      qrCodeId,
+      checkInTime,
+      synced: false
+    });
+
+    markCheckedIn(attendee.donor.id, checkInTime);
+    setPendingCount(prev => prev + 1);
+  }, [id, markCheckedIn]);
+
+  // Download the attendee list and ticket verification data for offline use
+  const handleDownloadForOffline = async () => {
+    setDownloading(true);
+    try {
+      const eventData = await getEventById(id);
+      const attendeesResponse = await getEventAttendees(id);
+      const tickets = await getEventTickets(id);
+
+      const newManifest = {
+        eventId: id,
+        event: eventData,
+        attendees: withTickets(attendeesResponse.data || []),
+        tickets,
+        downloadedAt: new Date().toISOString()
+      };
+      await saveManifest(newManifest);
+      setManifest(newManifest);
+
+      toast.success(`Saved ${newManifest.attendees.length} attendees for offline check-in`);
+    } catch (error) {
+      console.error('Error downloading event for offline use:', error);
+      toast.error('Failed to download event for offline use');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // Send check-ins recorded offline to the server
+  const handleSync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const pending = await getPendingCheckIns(id);
+      if (pending.length === 0) {
+        toast.info('No offline check-ins to sync');
+        return;
+      }
+
+      const result = await syncOfflineCheckIns(id, getDeviceId(), pending.map(checkIn => ({
+        clientId: checkIn.clientId,
+        donorId: checkIn.donorId,
+        qrCodeId: checkIn.qrCodeId,
+        checkInTime: checkIn.checkInTime
+      })));
+
+      await markCheckInsSynced(result.results);
+      setPendingCount((await getPendingCheckIns(id)).length);
+
+      toast.success(`Synced ${result.checkedIn} check-in(s)`);
+      if (result.conflicts > 0) {
+        toast.warning(`${result.conflicts} donor(s) were also checked in on another device; the earliest check-in was kept`);
+      }
+      result.results
+        .filter(r => r.status === 'REJECTED')
+        .forEach(r => toast.error(`Check-in for donor ${r.donorId} was rejected: ${r.reason}`));
+    } catch (error) {
+      console.error('Error syncing offline check-ins:', error);
+      toast.error(isNetworkError(error) ? 'Still offline, check-ins will sync later' : 'Failed to sync check-ins');
+    } finally {
+      setSyncing(false);
+    }
+  }, [id]);
+
+  // Sync automatically when connectivity comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      if (pendingCount > 0) handleSync();
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [pendingCount, handleSync]);
+
+  // Check in from the attendee list, saving locally when offline
+  const handleCheckIn = useCallback(async (attendee) => {
+    if (offlineMode) {
+      await recordLocalCheckIn(attendee);
+      toast.success('Check-in saved on this device');
+      return;
+    }
+
+    try {
+      const attendance = await checkInAttendee(id, attendee.donor.id);
+      markCheckedIn(attendee.donor.id, attendance.checkInTime);
+      toast.success('Attendee checked in successfully');
+    } catch (error) {
+      if (isNetworkError(error) && manifest) {
+        await recordLocalCheckIn(attendee);
+        toast.warning('Server unreachable, check-in saved on this device');
+        return;
+      }
+      toast.error(error.error?.message || 'Failed to check in attendee');
+    }
+  }, [id, offlineMode, manifest, markCheckedIn, recordLocalCheckIn]);
+
+  const handleNoShow = async (attendee) => {
+    try {
+      await markNoShow(id, attendee.id);
+      setAttendees(prevAttendees =>
+        prevAttendees.map(a => (a.id === attendee.id ? { ...a, status: 'NO_SHOW', seat: null } : a))
+      );
+      toast.success('Marked as no-show and seat released');
+    } catch (error) {
+      toast.error(error.error?.message || 'Failed to mark attendee as no-show');
+    }
+  };
+
+  // Check in from a locally verified ticket
+  const checkInOffline = useCallback(async (qrData) => {
+    const result = await verifyTicketOffline(qrData, manifest ? manifest.tickets : [], attendees);
+    if (!result.accepted) {
+      return result;
+    }
+
+    await recordLocalCheckIn(result.attendee, result.qrCodeId);
+    return { accepted: true, attendance: result.attendee };
+  }, [manifest, attendees, recordLocalCheckIn]);
+
+  // Verify a scanned ticket with the QR service, which also checks the attendee in
+  const handleScan = useCallback(async (qrData) => {
+    const now = Date.now();
+    if (lastScanRef.current.data === qrData && now - lastScanRef.current.time < RESCAN_INTERVAL_MS) {
+      return;
+    }
+    lastScanRef.current = { data: qrData, time: now };
+
+    setScanPaused(true);
+    try {
+      let scan;
+      if (offlineMode) {
+        scan = await checkInOffline(qrData);
+      } else {
+        try {
+          const { attendance } = await verifyQrCode(qrData);
+          markCheckedIn(attendance.donor.id, attendance.checkInTime);
+          scan = { accepted: true, attendance };
+        } catch (error) {
+          if (isNetworkError(error) && manifest) {
+            scan = await checkInOffline(qrData);
+          } else {
+            scan = {
+              accepted: false,
+              reason: error.data?.reason || error.error?.message || 'Ticket could not be verified'
+            };
+          }
+        }
+      }
+
+      setScanResult(scan);
+      setScanCounts(prev => scan.accepted
+        ? { ...prev, accepted: prev.accepted + 1 }
+        : { ...prev, rejected: prev.rejected + 1 });
+      playScanCue(scan.accepted);
+    } finally {
+      setTimeout(() => setScanPaused(false), RESULT_DISPLAY_MS);
+    }
+  }, [offlineMode, manifest, checkInOffline, markCheckedIn]);
+
   if (loading) {
     return (
       <Layout>
@@ -137,6 +444,56 @@ const EventCheckIn = () => {
           </Button>
         </div>
 
+        <Card className="mb-4">
+          <Card.Body className="d-flex flex-wrap justify-content-between align-items-center">
+            <div className="d-flex align-items-center">
+              <Form.Check
+                type="switch"
+                id="offline-mode"
+                label="Offline mode"
+                checked={offlineMode}
+                disabled={!manifest}
+                onChange={(e) => setOfflineMode(e.target.checked)}
+                className="me-3"
+              />
+              <small className="text-muted">
+                {manifest
+                  ? `Offline copy saved ${new Date(manifest.downloadedAt).toLocaleString()}`
+                  : 'Download this event to check in without a connection'}
+              </small>
+            </div>
+            <div className="d-flex align-items-center">
+              {pendingCount > 0 && (
+                <Badge bg="warning" text="dark" className="me-2">{pendingCount} check-in(s) not synced</Badge>
+              )}
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                className="me-2"
+                onClick={handleDownloadForOffline}
+                disabled={downloading || offlineMode}
+              >
+                <FaDownload className="me-1" /> {downloading ? 'Downloading...' : 'Download for Offline'}
+              </Button>
+              <Button
+                variant="outline-primary"
+                size="sm"
+                onClick={handleSync}
+                disabled={syncing || pendingCount === 0}
+              >
+                <FaSync className="me-1" /> {syncing ? 'Syncing...' : 'Sync Now'}
+              </Button>
+            </div>
+          </Card.Body>
+        </Card>
+
+        {donorDetailsDegraded && (
+          <Alert variant="warning">
+            Donor details are temporarily unavailable for some attendees. They are listed by
+            donor ID; seats and check-in still work.
+          </Alert>
+        )}
+
         <Card className="mb-4">
           <Card.Body>
             <Row>
@@ -153,13 +510,58 @@ const EventCheckIn = () => {
                   <strong>Checked In:</strong> {attendees.filter(a => a.status === 'CHECKED_IN').length}
                 </p>
                 <p className="mb-0">
-                  <strong>Pending:</strong> {attendees.filter(a => a.status !== 'CHECKED_IN' && a.status !== 'CANCELLED').length}
+                  <strong>Pending:</strong> {attendees.filter(a => ['REGISTERED', 'CONFIRMED'].includes(a.status)).length}
                 </p>
               </Col>
             </Row>
           </Card.Body>
         </Card>
 
+        {scannerMode && (
+          <Card className="mb-4">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="mb-0">Scan Tickets</h5>
+                <div className="d-flex align-items-center">
+                  <Badge bg="success" className="me-2 fs-6">Admitted: {scanCounts.accepted}</Badge>
+                  <Badge bg="danger" className="me-3 fs-6">Rejected: {scanCounts.rejected}</Badge>
+                  <Button variant="outline-secondary" size="sm" onClick={() => setScannerMode(false)}>
+                    <FaList className="me-1" /> Back to List
+                  </Button>
+                </div>
+              </div>
+
+              <Row>
+                <Col md={6} className="mb-3 mb-md-0">
+                  <QrScanner onScan={handleScan} paused={scanPaused} />
+                </Col>
+                <Col md={6}>
+                  {!scanResult ? (
+                    <div className="h-100 d-flex align-items-center justify-content-center text-muted border rounded p-4">
+                      {scanPaused ? <Spinner animation="border" /> : 'Point the camera at a ticket QR code'}
+                    </div>
+                  ) : scanResult.accepted ? (
+                    <div className="h-100 bg-success text-white rounded p-4 text-center">
+                      <FaCheckCircle size={64} className="mb-3" />
+                      <h2>Checked In</h2>
+                      <h4>
+                        {scanResult.attendance.donor.firstName} {scanResult.attendance.donor.lastName}
+                      </h4>
+                      <p className="fs-4 mb-0">{formatSeat(scanResult.attendance.seat)}</p>
+                    </div>
+                  ) : (
+                    <div className="h-100 bg-danger text-white rounded p-4 text-center">
+                      <FaTimesCircle size={64} className="mb-3" />
+                      <h2>Not Admitted</h2>
+                      <p className="fs-4 mb-0">{scanResult.reason}</p>
+                    </div>
+                  )}
+                </Col>
+              </Row>
+            </Card.Body>
+          </Card>
+        )}
+
         <Card className="mb-4">
           <Card.Body>
             <Row className="align-items-center mb-4">
@@ -179,7 +581,7 @@ const EventCheckIn = () => {
                 </InputGroup>
               </Col>
               <Col md="auto">
-                <Button variant="success">
+                <Button variant="success" onClick={() => setScannerMode(true)}>
                   <FaQrcode className="me-2" /> Scan QR Code
                 </Button>
               </Col>
@@ -204,7 +606,9 @@ const EventCheckIn = () => {
                     <tr key={attendee.id}>
                       <td>
                         <Link to={`/donors/${attendee.donor.id}`} className="text-decoration-none">
-                          {attendee.donor.firstName} {attendee.donor.lastName}
+                          {attendee.donor._defaultData
+                            ? `Donor ${attendee.donor.id}`
+                            : `${attendee.donor.firstName} ${attendee.donor.lastName}`}
                         </Link>
                       </td>
                       <td>{attendee.donor.email}</td>
@@ -219,6 +623,7 @@ const EventCheckIn = () => {
                           bg={
                             attendee.status === 'CHECKED_IN' ? 'success' : 
                             attendee.status === 'CANCELLED' ? 'danger' : 
+                            attendee.status === 'NO_SHOW' ? 'secondary' :
                             'info'
                           }
                         >
@@ -230,14 +635,30 @@ const EventCheckIn = () => {
                           <Button variant="outline-success" size="sm" disabled>
                             <FaCheckCircle className="me-1" /> Checked In
                           </Button>
-                        ) : attendee.status !== 'CANCELLED' ? (
-                          <Button 
-                            variant="success" 
-                            size="sm"
-                            onClick={() => handleCheckIn(attendee.id)}
-                          >
-                            Check In
+                        ) : attendee.status === 'NO_SHOW' ? (
+                          <Button variant="outline-secondary" size="sm" disabled>
+                            No-show
                           </Button>
+                        ) : attendee.status !== 'CANCELLED' ? (
+                          <>
+                            <Button 
+                              variant="success" 
+                              size="sm"
+                              className="me-2"
+                              onClick={() => handleCheckIn(attendee)}
+                            >
+                              Check In
+                            </Button>
+                            {!offlineMode && (
+                              <Button
+                                variant="outline-secondary"
+                                size="sm"
+                                onClick={() => handleNoShow(attendee)}
+                              >
+                                No-show
+                              </Button>
+                            )}
+                          </>
                         ) : (
                           <Button variant="outline-danger" size="sm" disabled>
                             Cancelled
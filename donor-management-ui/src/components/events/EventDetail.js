@@ -1,19 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Card, Row, Col, Button, Badge, Table, Alert, Modal } from 'react-bootstrap';
+import { Container, Card, Row, Col, Button, Badge, Table, Alert, Modal, Form } from 'react-bootstrap';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { FaCalendarAlt, FaClock, FaMapMarkerAlt, FaUsers, FaEdit, FaTrash } from 'react-icons/fa';
 import Layout from '../layout/Layout';
-import { getEventById, deleteEvent, getEventAttendees } from '../../services/eventService';
+import { getEventById, deleteEvent, getEventAttendees, cancelRegistration, cancelEvent } from '../../services/eventService';
+import { getEventRevenue } from '../../services/donationService';
 import { toast } from 'react-toastify';
 
+// Alert variant for each weather advisory severity
+const ADVISORY_VARIANTS = {
+  INFO: 'info',
+  WATCH: 'warning',
+  WARNING: 'danger'
+};
+
+const formatCurrency = (amount) => `₹${amount.toLocaleString()}`;
+
 const EventDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [event, setEvent] = useState(null);
   const [attendees, setAttendees] = useState([]);
+  const [revenue, setRevenue] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancellationReason, setCancellationReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
 
   useEffect(() => {
     fetchEventData();
@@ -28,6 +42,15 @@ const EventDetail = () => {
       // Fetch attendees
       const attendeesData = await getEventAttendees(id);
       setAttendees(attendeesData.data || []);
+      
+      // Ticket revenue comes from donation-service; the page works without it
+      if (eventData.ticketTiers && eventData.ticketTiers.length > 0) {
+        try {
+          setRevenue((await getEventRevenue(id)) || { totalAmount: 0 });
+        } catch (revenueError) {
+          console.error('Error fetching ticket revenue:', revenueError);
+        }
+      }
     } catch (error) {
       console.error('Error fetching event data:', error);
       setError('Failed to load event data');
@@ -36,6 +59,22 @@ const EventDetail = () => {
     }
   };
 
+  const handleCancelRegistration = async (attendee) => {
+    const name = `${attendee.donor.firstName} ${attendee.donor.lastName}`;
+    if (!window.confirm(`Cancel the registration for ${name}?`)) return;
+
+    try {
+      const result = await cancelRegistration(id, attendee.id);
+      toast.success(result.promoted.length > 0
+        ? `Registration cancelled. ${result.promoted.length} donor(s) moved off the waitlist.`
+        : 'Registration cancelled');
+      fetchEventData();
+    } catch (error) {
+      console.error('Error cancelling registration:', error);
+      toast.error(error.error?.message || 'Failed to cancel registration');
+    }
+  };
+
   const handleDeleteEvent = async () => {
     try {
       await deleteEvent(id);
@@ -48,6 +87,21 @@ const EventDetail = () => {
     }
   };
 
+  const handleCancelEvent = async () => {
+    setCancelling(true);
+    try {
+      const result = await cancelEvent(id, cancellationReason || undefined);
+      toast.success(`Event cancelled. ${result.attendeesCancelled} registration(s) cancelled and ${result.notified} donor(s) notified.`);
+      setShowCancelModal(false);
+      fetchEventData();
+    } catch (error) {
+      console.error('Error cancelling event:', error);
+      toast.error(error.error?.message || 'Failed to cancel event');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   // Format date for display
   const formatDate = (dateString) => {
     const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
@@ -122,9 +176,9 @@ const EventDetail = () => {
               to={`/events/${id}/register`}
               variant="success"
               className="me-2"
-              disabled={event.status !== 'SCHEDULED' || event.registeredCount >= event.maxCapacity}
+              disabled={event.status !== 'SCHEDULED'}
             >
-              Register Donor
+              {event.registeredCount >= event.maxCapacity ? 'Add to Waitlist' : 'Register Donor'}
             </Button>
             <Button
               as={Link}
@@ -134,6 +188,14 @@ const EventDetail = () => {
             >
               <FaEdit className="me-1" /> Edit
             </Button>
+            <Button
+              variant="outline-danger"
+              className="me-2"
+              onClick={() => setShowCancelModal(true)}
+              disabled={!['DRAFT', 'SCHEDULED', 'ONGOING'].includes(event.status)}
+            >
+              Cancel Event
+            </Button>
             <Button
               variant="danger"
               onClick={() => setShowDeleteModal(true)}
@@ -150,6 +212,13 @@ const EventDetail = () => {
           </Alert>
         )}
 
+        {(event.weatherAdvisories || []).map((advisory, index) => (
+          <Alert key={index} variant={ADVISORY_VARIANTS[advisory.severity] || 'info'} className="mb-4">
+            <strong>{advisory.headline}</strong>
+            {advisory.description && <div>{advisory.description}</div>}
+          </Alert>
+        ))}
+
         <Row>
           <Col lg={8}>
             <Card className="mb-4">
@@ -167,6 +236,9 @@ const EventDetail = () => {
                   <p className="mb-2">
                     <FaMapMarkerAlt className="me-2 text-primary" />
                     <strong>Location:</strong> {event.location}
+                    <span className="text-muted ms-2">
+                      ({event.isOutdoor === false ? 'Indoor' : 'Outdoor'}{event.region ? `, ${event.region}` : ''})
+                    </span>
                   </p>
                   <p className="mb-2">
                     <FaUsers className="me-2 text-primary" />
@@ -202,6 +274,7 @@ const EventDetail = () => {
                         <th>Phone</th>
                         <th>Status</th>
                         <th>Seat</th>
+                        <th></th>
                       </tr>
                     </thead>
                     <tbody>
@@ -217,15 +290,37 @@ const EventDetail = () => {
                           <td>
                             <Badge 
                               bg={attendee.status === 'CHECKED_IN' ? 'success' : 
-                                 attendee.status === 'CANCELLED' ? 'danger' : 'info'}
+                                 attendee.status === 'CANCELLED' ? 'danger' :
+                                 attendee.status === 'WAITLISTED' ? 'warning' : 'info'}
                             >
-                              {attendee.status}
+                              {attendee.status === 'WAITLISTED'
+                                ? `WAITLISTED #${attendee.waitlistPosition}`
+                                : attendee.status}
                             </Badge>
                           </td>
                           <td>
                             {attendee.seat ? 
                               `${attendee.seat.section}-${attendee.seat.row}-${attendee.seat.number}` : 
                               'Not assigned'}
+                            {attendee.ticketTier && (
+                              <div className="small text-muted">
+                                {attendee.ticketTier.name}
+                                {attendee.donationId && (
+                                  <> · <Link to={`/donations/${attendee.donationId}`}>Donation</Link></>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                          <td>
+                            {['WAITLISTED', 'REGISTERED', 'CONFIRMED'].includes(attendee.status) && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => handleCancelRegistration(attendee)}
+                              >
+                                Cancel
+                              </Button>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -261,6 +356,32 @@ const EventDetail = () => {
               </Card.Body>
             </Card>
 
+            {event.ticketTiers && event.ticketTiers.length > 0 && (
+              <Card className="mb-4">
+                <Card.Body>
+                  <h5 className="mb-3">Tickets</h5>
+                  {event.ticketTiers.map(tier => (
+                    <div key={tier.id} className="d-flex justify-content-between align-items-center p-2 border-bottom">
+                      <span>
+                        {tier.name}
+                        <div className="small text-muted">
+                          {tier.price > 0 ? formatCurrency(tier.price) : 'Free'}
+                          {tier.section && ` · Section ${tier.section}`}
+                        </div>
+                      </span>
+                      <span className="fw-bold">{tier.soldCount} / {tier.quantity}</span>
+                    </div>
+                  ))}
+                  <div className="d-flex justify-content-between align-items-center p-2">
+                    <span>Ticket Revenue</span>
+                    <span className="fw-bold">
+                      {revenue ? formatCurrency(revenue.totalAmount) : 'Unavailable'}
+                    </span>
+                  </div>
+                </Card.Body>
+              </Card>
+            )}
+
             <Card>
               <Card.Body>
                 <h5 className="mb-3">Quick Actions</h5>
@@ -319,6 +440,36 @@ const EventDetail = () => {
             </Button>
           </Modal.Footer>
         </Modal>
+
+        {/* Cancel Event Modal */}
+        <Modal show={showCancelModal} onHide={() => setShowCancelModal(false)}>
+          <Modal.Header closeButton>
+            <Modal.Title>Cancel Event</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>
+              All registrations and waitlist places will be cancelled, their QR tickets voided,
+              and every attendee notified.
+            </p>
+            <Form.Group>
+              <Form.Label>Reason (included in the notification)</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={cancellationReason}
+                onChange={(e) => setCancellationReason(e.target.value)}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowCancelModal(false)} disabled={cancelling}>
+              Keep Event
+            </Button>
+            <Button variant="danger" onClick={handleCancelEvent} disabled={cancelling}>
+              {cancelling ? 'Cancelling...' : 'Cancel Event'}
+            </Button>
+          </Modal.Footer>
+        </Modal>
       </Container>
     </Layout>
   );
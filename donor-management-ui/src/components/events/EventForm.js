@@ -1,10 +1,49 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Form, Button, Card, Row, Col, Alert } from 'react-bootstrap';
+import { Container, Form, Button, Card, Row, Col, Alert, InputGroup } from 'react-bootstrap';
 import { useNavigate, useParams } from 'react-router-dom';
 import Layout from '../layout/Layout';
-import { createEvent, getEventById, updateEvent } from '../../services/eventService';
+import {
+  createEvent,
+  getEventById,
+  updateEvent,
+  createEventSeries,
+  getEventSeries,
+  updateEventSeries,
+  updateTicketTiers
+} from '../../services/eventService';
 import { toast } from 'react-toastify';
 
+// Statuses an event can move to from each status (cancelling is done from the event page)
+const STATUS_TRANSITIONS = {
+  DRAFT: ['SCHEDULED'],
+  SCHEDULED: ['DRAFT', 'ONGOING'],
+  ONGOING: ['COMPLETED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+const STATUS_LABELS = {
+  DRAFT: 'Draft',
+  SCHEDULED: 'Scheduled',
+  ONGOING: 'Ongoing',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+// Event details that can be changed for a whole series at once
+const SERIES_FIELDS = ['title', 'description', 'startTime', 'endTime', 'location'];
+
+const EMPTY_TICKET_TIER = { name: '', price: 0, quantity: 1, section: '', soldCount: 0 };
+
+// Ticket tiers as sent to the event service; existing tiers keep their id
+const toTicketTierInput = (tiers) => tiers.map(tier => ({
+  ...(tier.id && { id: tier.id }),
+  name: tier.name.trim(),
+  price: parseFloat(tier.price) || 0,
+  quantity: parseInt(tier.quantity),
+  section: tier.section || null
+}));
+
 const EventForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -15,8 +54,24 @@ const EventForm = () => {
     startTime: '',
     endTime: '',
     location: '',
-    maxCapacity: 50
+    maxCapacity: 50,
+    region: '',
+    isOutdoor: true,
+    seatingTemplate: ''
+  });
+  const [recurrence, setRecurrence] = useState({
+    frequency: '',
+    interval: 1,
+    rule: '',
+    ends: 'never',
+    until: '',
+    count: 6
   });
+  const [series, setSeries] = useState(null);
+  const [ticketTiers, setTicketTiers] = useState([]);
+  const [savedTicketTiers, setSavedTicketTiers] = useState([]);
+  const [savedCapacity, setSavedCapacity] = useState(null);
+  const [editScope, setEditScope] = useState('event');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [isEdit, setIsEdit] = useState(false);
@@ -45,8 +100,20 @@ const EventForm = () => {
         endTime: event.endTime || '',
         location: event.location || '',
         maxCapacity: event.maxCapacity || 50,
+        region: event.region || '',
+        isOutdoor: event.isOutdoor !== false,
+        seatingTemplate: event.seatingLayout ? event.seatingLayout.template : '',
         status: event.status
       });
+      
+      const tiers = (event.ticketTiers || []).map(tier => ({ ...tier, section: tier.section || '' }));
+      setTicketTiers(tiers);
+      setSavedTicketTiers(tiers);
+      setSavedCapacity(event.maxCapacity);
+      
+      if (event.seriesId) {
+        setSeries(await getEventSeries(event.seriesId));
+      }
     } catch (error) {
       console.error('Error fetching event:', error);
       setError('Failed to load event data');
@@ -63,6 +130,26 @@ const EventForm = () => {
     });
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence({
+      ...recurrence,
+      [name]: value
+    });
+  };
+
+  const handleTicketTierChange = (index, field, value) => {
+    setTicketTiers(ticketTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const addTicketTier = () => {
+    setTicketTiers([...ticketTiers, { ...EMPTY_TICKET_TIER }]);
+  };
+
+  const removeTicketTier = (index) => {
+    setTicketTiers(ticketTiers.filter((_, i) => i !== index));
+  };
+
   const validateForm = () => {
     if (!formData.title) return 'Title is required';
     if (!formData.eventDate) return 'Event date is required';
@@ -85,6 +172,17 @@ const EventForm = () => {
     
     if (endMinutes <= startMinutes) return 'End time must be after start time';
     
+    if (recurrence.frequency === 'CUSTOM' && !recurrence.rule.trim()) return 'Recurrence rule is required';
+    if (recurrence.frequency && recurrence.ends === 'until' && !recurrence.until) return 'End date is required';
+    
+    if (ticketTiers.some(tier => !tier.name.trim())) return 'Every ticket tier needs a name';
+    if (ticketTiers.some(tier => !(parseInt(tier.quantity) >= 1))) return 'Ticket tier quantities must be at least 1';
+    if (ticketTiers.some(tier => parseInt(tier.quantity) < (tier.soldCount || 0))) {
+      return 'Ticket tier quantities cannot be below the tickets already sold';
+    }
+    const ticketTotal = ticketTiers.reduce((sum, tier) => sum + (parseInt(tier.quantity) || 0), 0);
+    if (ticketTotal > formData.maxCapacity) return 'Ticket tiers cannot hold more tickets than the maximum capacity';
+    
     return null;
   };
 
@@ -100,18 +198,67 @@ const EventForm = () => {
     setLoading(true);
     setError('');
 
+    // The seating layout is chosen when the event is created; an empty choice uses the system default
+    const { seatingTemplate, ...eventData } = formData;
+
+    // Tiers are saved separately on edit; when capacity shrinks they go first so the
+    // event never holds more tickets than places
+    const tiersChanged = JSON.stringify(toTicketTierInput(ticketTiers)) !==
+      JSON.stringify(toTicketTierInput(savedTicketTiers));
+    const saveEvent = async (save) => {
+      const tiersFirst = parseInt(formData.maxCapacity) < savedCapacity;
+      if (tiersChanged && tiersFirst) await updateTicketTiers(id, toTicketTierInput(ticketTiers));
+      await save();
+      if (tiersChanged && !tiersFirst) await updateTicketTiers(id, toTicketTierInput(ticketTiers));
+    };
+
     try {
-      if (isEdit) {
-        await updateEvent(id, formData);
+      if (isEdit && editScope === 'series') {
+        // Shared details go to the series; date, capacity and status stay with this event
+        const seriesData = {};
+        const ownData = {};
+        Object.keys(eventData).forEach(field => {
+          if (SERIES_FIELDS.includes(field)) {
+            seriesData[field] = eventData[field];
+          } else {
+            ownData[field] = eventData[field];
+          }
+        });
+        
+        const updatedSeries = await updateEventSeries(series.id, seriesData);
+        await saveEvent(() => updateEvent(id, ownData));
+        toast.success(`Series updated (${updatedSeries.occurrencesUpdated} upcoming events)`);
+      } else if (isEdit) {
+        await saveEvent(() => updateEvent(id, eventData));
         toast.success('Event updated successfully');
+      } else if (recurrence.frequency) {
+        const { eventDate, ...seriesData } = eventData;
+        const createdSeries = await createEventSeries({
+          ...seriesData,
+          ...(seatingTemplate && { seatingLayout: { template: seatingTemplate } }),
+          recurrence: {
+            frequency: recurrence.frequency,
+            startDate: eventDate,
+            ...(recurrence.frequency === 'CUSTOM'
+              ? { rule: recurrence.rule.trim() }
+              : { interval: parseInt(recurrence.interval) || 1 }),
+            ...(recurrence.ends === 'until' && { until: recurrence.until }),
+            ...(recurrence.ends === 'count' && { count: parseInt(recurrence.count) })
+          }
+        });
+        toast.success(`Event series created with ${createdSeries.occurrences.length} events`);
       } else {
-        await createEvent(formData);
+        await createEvent({
+          ...eventData,
+          ...(seatingTemplate && { seatingLayout: { template: seatingTemplate } }),
+          ...(ticketTiers.length > 0 && { ticketTiers: toTicketTierInput(ticketTiers) })
+        });
         toast.success('Event created successfully');
       }
       navigate('/events');
     } catch (error) {
       console.error('Error saving event:', error);
-      setError(error.message || 'Failed to save event');
+      setError(error.error?.message || error.message || 'Failed to save event');
     } finally {
       setLoading(false);
     }
@@ -126,6 +273,12 @@ const EventForm = () => {
 
         {error && <Alert variant="danger">{error}</Alert>}
 
+        {series && (
+          <Alert variant="info">
+            This event is part of the series <strong>{series.title}</strong> ({series.recurrence.description}).
+          </Alert>
+        )}
+
         <Card>
           <Card.Body>
             <Form onSubmit={handleSubmit}>
@@ -154,7 +307,7 @@ const EventForm = () => {
               <Row>
                 <Col md={4}>
                   <Form.Group className="mb-3">
-                    <Form.Label>Event Date</Form.Label>
+                    <Form.Label>{recurrence.frequency ? 'First Date' : 'Event Date'}</Form.Label>
                     <Form.Control
                       type="date"
                       name="eventDate"
@@ -191,6 +344,97 @@ const EventForm = () => {
                 </Col>
               </Row>
 
+              {!isEdit && (
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Repeats</Form.Label>
+                      <Form.Select
+                        name="frequency"
+                        value={recurrence.frequency}
+                        onChange={handleRecurrenceChange}
+                      >
+                        <option value="">Does not repeat</option>
+                        <option value="WEEKLY">Weekly</option>
+                        <option value="MONTHLY">Monthly</option>
+                        <option value="CUSTOM">Custom (RRULE)</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  {(recurrence.frequency === 'WEEKLY' || recurrence.frequency === 'MONTHLY') && (
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Every</Form.Label>
+                        <InputGroup>
+                          <Form.Control
+                            type="number"
+                            name="interval"
+                            value={recurrence.interval}
+                            onChange={handleRecurrenceChange}
+                            min="1"
+                            max="12"
+                          />
+                          <InputGroup.Text>{recurrence.frequency === 'WEEKLY' ? 'week(s)' : 'month(s)'}</InputGroup.Text>
+                        </InputGroup>
+                      </Form.Group>
+                    </Col>
+                  )}
+                  {recurrence.frequency === 'CUSTOM' && (
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Recurrence Rule</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="rule"
+                          value={recurrence.rule}
+                          onChange={handleRecurrenceChange}
+                          placeholder="FREQ=MONTHLY;BYDAY=2SU"
+                        />
+                        <Form.Text className="text-muted">
+                          iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=2SU for the second Sunday of every month.
+                        </Form.Text>
+                      </Form.Group>
+                    </Col>
+                  )}
+                  {recurrence.frequency && (
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Ends</Form.Label>
+                        <Form.Select
+                          name="ends"
+                          value={recurrence.ends}
+                          onChange={handleRecurrenceChange}
+                          className="mb-2"
+                        >
+                          <option value="never">After one year</option>
+                          <option value="until">On a date</option>
+                          <option value="count">After a number of events</option>
+                        </Form.Select>
+                        {recurrence.ends === 'until' && (
+                          <Form.Control
+                            type="date"
+                            name="until"
+                            value={recurrence.until}
+                            onChange={handleRecurrenceChange}
+                            min={formData.eventDate || todayDate}
+                          />
+                        )}
+                        {recurrence.ends === 'count' && (
+                          <Form.Control
+                            type="number"
+                            name="count"
+                            value={recurrence.count}
+                            onChange={handleRecurrenceChange}
+                            min="1"
+                            max="52"
+                          />
+                        )}
+                      </Form.Group>
+                    </Col>
+                  )}
+                </Row>
+              )}
+
               <Form.Group className="mb-3">
                 <Form.Label>Location</Form.Label>
                 <Form.Control
@@ -202,6 +446,36 @@ const EventForm = () => {
                 />
               </Form.Group>
 
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Region</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="region"
+                      value={formData.region}
+                      onChange={handleChange}
+                      placeholder="e.g. Tamil Nadu"
+                    />
+                    <Form.Text className="text-muted">
+                      Monsoon months are taken from the region's settings; leave empty for the default season.
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Venue</Form.Label>
+                    <Form.Check
+                      type="switch"
+                      id="isOutdoor"
+                      label="Outdoor venue (weather dependent)"
+                      checked={formData.isOutdoor}
+                      onChange={(e) => setFormData({ ...formData, isOutdoor: e.target.checked })}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+
               <Form.Group className="mb-3">
                 <Form.Label>Maximum Capacity</Form.Label>
                 <Form.Control
@@ -214,6 +488,114 @@ const EventForm = () => {
                 />
               </Form.Group>
 
+              <Form.Group className="mb-3">
+                <Form.Label>Seating Layout</Form.Label>
+                <Form.Select
+                  name="seatingTemplate"
+                  value={formData.seatingTemplate}
+                  onChange={handleChange}
+                  disabled={isEdit}
+                >
+                  <option value="">System default</option>
+                  <option value="theater">Theater (rows of seats)</option>
+                  <option value="banquet">Banquet (tables)</option>
+                  <option value="open">Open floor (no assigned seats)</option>
+                </Form.Select>
+                <Form.Text className="text-muted">
+                  Seats are generated to match the maximum capacity.
+                </Form.Text>
+              </Form.Group>
+
+              {!recurrence.frequency && (!isEdit || ['DRAFT', 'SCHEDULED'].includes(formData.status)) && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Ticket Tiers</Form.Label>
+                  {ticketTiers.map((tier, index) => (
+                    <Row key={tier.id || `new-${index}`} className="g-2 mb-2 align-items-center">
+                      <Col md={4}>
+                        <Form.Control
+                          placeholder="Tier name, e.g. Patron table"
+                          value={tier.name}
+                          onChange={(e) => handleTicketTierChange(index, 'name', e.target.value)}
+                        />
+                      </Col>
+                      <Col md={2}>
+                        <InputGroup>
+                          <InputGroup.Text>₹</InputGroup.Text>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={tier.price}
+                            onChange={(e) => handleTicketTierChange(index, 'price', e.target.value)}
+                          />
+                        </InputGroup>
+                      </Col>
+                      <Col md={2}>
+                        <Form.Control
+                          type="number"
+                          min={Math.max(tier.soldCount || 0, 1)}
+                          title="Tickets"
+                          value={tier.quantity}
+                          onChange={(e) => handleTicketTierChange(index, 'quantity', e.target.value)}
+                        />
+                      </Col>
+                      <Col md={2}>
+                        <Form.Control
+                          placeholder="Any section"
+                          value={tier.section}
+                          disabled={formData.seatingTemplate === 'open'}
+                          onChange={(e) => handleTicketTierChange(index, 'section', e.target.value)}
+                        />
+                      </Col>
+                      <Col md={2} className="text-end">
+                        {tier.soldCount > 0 ? (
+                          <span className="text-muted small">{tier.soldCount} sold</span>
+                        ) : (
+                          <Button variant="outline-danger" size="sm" onClick={() => removeTicketTier(index)}>
+                            Remove
+                          </Button>
+                        )}
+                      </Col>
+                    </Row>
+                  ))}
+                  <div>
+                    <Button variant="outline-primary" size="sm" onClick={addTicketTier}>
+                      Add Ticket Tier
+                    </Button>
+                  </div>
+                  <Form.Text className="text-muted">
+                    Name, price, number of tickets and, optionally, the seat section a tier sells. Paid tickets are
+                    recorded as donations. Events with ticket tiers have no waitlist.
+                  </Form.Text>
+                </Form.Group>
+              )}
+
+              {series && series.status === 'ACTIVE' && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Apply Changes To</Form.Label>
+                  <Form.Check
+                    type="radio"
+                    id="editScopeEvent"
+                    name="editScope"
+                    label="This event only"
+                    checked={editScope === 'event'}
+                    onChange={() => setEditScope('event')}
+                  />
+                  <Form.Check
+                    type="radio"
+                    id="editScopeSeries"
+                    name="editScope"
+                    label="All upcoming events in the series"
+                    checked={editScope === 'series'}
+                    onChange={() => setEditScope('series')}
+                  />
+                  <Form.Text className="text-muted">
+                    Title, description, times and location can be changed for the whole series; date, capacity
+                    and status always apply to this event only. Events edited on their own keep their changes.
+                  </Form.Text>
+                </Form.Group>
+              )}
+
               {isEdit && (
                 <Form.Group className="mb-3">
                   <Form.Label>Status</Form.Label>
@@ -222,11 +604,13 @@ const EventForm = () => {
                     value={formData.status}
                     onChange={handleChange}
                   >
-                    <option value="SCHEDULED">Scheduled</option>
-                    <option value="ONGOING">Ongoing</option>
-                    <option value="COMPLETED">Completed</option>
-                    <option value="CANCELLED">Cancelled</option>
+                    {[formData.status, ...(STATUS_TRANSITIONS[formData.status] || [])].map(status => (
+                      <option key={status} value={status}>{STATUS_LABELS[status] || status}</option>
+                    ))}
                   </Form.Select>
+                  <Form.Text className="text-muted">
+                    Events start and finish automatically at their scheduled times.
+                  </Form.Text>
                 </Form.Group>
               )}
 
@@ -250,7 +634,7 @@ const EventForm = () => {
                       {isEdit ? 'Updating...' : 'Creating...'}
                     </>
                   ) : (
-                    isEdit ? 'Update Event' : 'Create Event'
+                    isEdit ? 'Update Event' : recurrence.frequency ? 'Create Series' : 'Create Event'
                   )}
                 </Button>
               </div>
@@ -1,7 +1,7 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Container, Row, Col, Card, Button, Form, InputGroup, Table, Pagination, Badge } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
-import { FaSearch, FaPlus, FaFilter, FaCalendarAlt, FaUsers, FaMapMarkerAlt } from 'react-icons/fa';
+import { FaSearch, FaPlus, FaFilter, FaCalendarAlt, FaUsers, FaMapMarkerAlt, FaRedo } from 'react-icons/fa';
 import Layout from '../layout/Layout';
 import { getAllEvents } from '../../services/eventService';
 import { toast } from 'react-toastify';
@@ -112,6 +112,94 @@ const EventList = () => {
     }
   };
 
+  // Occurrences of a recurring series are grouped together where the first one appears
+  const eventGroups = useMemo(() => {
+    const groups = [];
+    const seriesGroups = {};
+    events.forEach(event => {
+      if (!event.series) {
+        groups.push({ key: event.id, event });
+        return;
+      }
+      
+      if (!seriesGroups[event.series.id]) {
+        seriesGroups[event.series.id] = { key: `series-${event.series.id}`, series: event.series, events: [] };
+        groups.push(seriesGroups[event.series.id]);
+      }
+      seriesGroups[event.series.id].events.push(event);
+    });
+    return groups;
+  }, [events]);
+
+  const renderEventCard = (event) => (
+    <Col md={6} lg={4} key={event.id} className="mb-4">
+      <Card className="h-100">
+        <Card.Body>
+          <div className="d-flex justify-content-between align-items-start mb-3">
+            <h5 className="card-title mb-0">{event.title}</h5>
+            <div>
+              {event.seriesDetached && (
+                <Badge bg="light" text="dark" className="me-1 border">Edited</Badge>
+              )}
+              <Badge bg={getStatusBadgeVariant(event.status)}>
+                {event.status}
+              </Badge>
+            </div>
+          </div>
+          <div className="mb-3">
+            <p className="text-muted mb-1">
+              <FaCalendarAlt className="me-2" />
+              {formatDate(event.eventDate)}
+            </p>
+            <p className="text-muted mb-1">
+              <span className="me-2">🕒</span>
+              {event.startTime} - {event.endTime}
+            </p>
+            <p className="text-muted mb-1">
+              <FaMapMarkerAlt className="me-2" />
+              {event.location}
+            </p>
+            <p className="text-muted mb-0">
+              <FaUsers className="me-2" />
+              {event.registeredCount} / {event.maxCapacity} registered
+            </p>
+          </div>
+          {event.monsoonWarning && (
+            <div className="alert alert-warning mt-2 mb-3" role="alert">
+              <small>{event.monsoonWarning}</small>
+            </div>
+          )}
+          {event.weatherAdvisories && event.weatherAdvisories.length > 0 && (
+            <div className="alert alert-danger mt-2 mb-3" role="alert">
+              <small>
+                <strong>Weather advisory:</strong> {event.weatherAdvisories.map(advisory => advisory.headline).join('; ')}
+              </small>
+            </div>
+          )}
+          <div className="d-flex justify-content-end mt-3">
+            <Button
+              as={Link}
+              to={`/events/${event.id}`}
+              variant="outline-primary"
+              size="sm"
+              className="me-2"
+            >
+              View
+            </Button>
+            <Button
+              as={Link}
+              to={`/events/${event.id}/edit`}
+              variant="outline-secondary"
+              size="sm"
+            >
+              Edit
+            </Button>
+          </div>
+        </Card.Body>
+      </Card>
+    </Col>
+  );
+
   // Generate pagination items
   const paginationItems = [];
   for (let number = 1; number <= pagination.totalPages; number++) {
@@ -225,62 +313,31 @@ const EventList = () => {
         ) : (
           <>
             <Row>
-              {events.map((event) => (
-                <Col md={6} lg={4} key={event.id} className="mb-4">
-                  <Card className="h-100">
-                    <Card.Body>
-                      <div className="d-flex justify-content-between align-items-start mb-3">
-                        <h5 className="card-title mb-0">{event.title}</h5>
-                        <Badge bg={getStatusBadgeVariant(event.status)}>
-                          {event.status}
-                        </Badge>
-                      </div>
-                      <div className="mb-3">
-                        <p className="text-muted mb-1">
-                          <FaCalendarAlt className="me-2" />
-                          {formatDate(event.eventDate)}
-                        </p>
-                        <p className="text-muted mb-1">
-                          <span className="me-2">🕒</span>
-                          {event.startTime} - {event.endTime}
-                        </p>
-                        <p className="text-muted mb-1">
-                          <FaMapMarkerAlt className="me-2" />
-                          {event.location}
-                        </p>
-                        <p className="text-muted mb-0">
-                          <FaUsers className="me-2" />
-                          {event.registeredCount} / {event.maxCapacity} registered
-                        </p>
+              {eventGroups.map(group => (group.series ? (
+                <Col xs={12} key={group.key} className="mb-4">
+                  <Card border="info">
+                    <Card.Header className="d-flex justify-content-between align-items-center">
+                      <div>
+                        <FaRedo className="me-2" />
+                        <strong>{group.series.title}</strong>
+                        <span className="text-muted ms-2">Repeats {group.series.recurrence}</span>
                       </div>
-                      {event.monsoonWarning && (
-                        <div className="alert alert-warning mt-2 mb-3" role="alert">
-                          <small>{event.monsoonWarning}</small>
-                        </div>
+                      {group.series.status === 'CANCELLED' ? (
+                        <Badge bg="danger">Series cancelled</Badge>
+                      ) : (
+                        <Badge bg="info">{group.events.length} {group.events.length === 1 ? 'event' : 'events'}</Badge>
                       )}
-                      <div className="d-flex justify-content-end mt-3">
-                        <Button
-                          as={Link}
-                          to={`/events/${event.id}`}
-                          variant="outline-primary"
-                          size="sm"
-                          className="me-2"
-                        >
-                          View
-                        </Button>
-                        <Button
-                          as={Link}
-                          to={`/events/${event.id}/edit`}
-                          variant="outline-secondary"
-                          size="sm"
-                        >
-                          Edit
-                        </Button>
-                      </div>
+                    </Card.Header>
+                    <Card.Body className="pb-0">
+                      <Row>
+                        {group.events.map(renderEventCard)}
+                      </Row>
                     </Card.Body>
                   </Card>
                 </Col>
-              ))}
+              ) : (
+                renderEventCard(group.event)
+              )))}
             </Row>
 
             <div className="d-flex justify-content-between align-items-center mt-4">
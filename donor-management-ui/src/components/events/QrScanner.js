@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Alert } from 'react-bootstrap';
+import jsQR from 'jsqr';
+
+// Reads QR codes from the device camera and reports each decoded payload
+const QrScanner = ({ onScan, paused = false }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const pausedRef = useRef(paused);
+  const [cameraError, setCameraError] = useState('');
+
+  // Keep the latest props available to the frame loop without restarting the camera
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  useEffect(() => {
+    let stream = null;
+    let frameId = null;
+    let cancelled = false;
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+
+      if (video && canvas && !pausedRef.current && video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (code && code.data) {
+          onScanRef.current(code.data);
+        }
+      }
+
+      frameId = requestAnimationFrame(scanFrame);
+    };
+
+    const startCamera = async () => {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setCameraError('Camera access is not supported in this browser');
+        return;
+      }
+
+      try {
+        // Prefer the rear camera on phones and tablets
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        });
+
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        const video = videoRef.current;
+        video.srcObject = stream;
+        await video.play();
+        frameId = requestAnimationFrame(scanFrame);
+      } catch (error) {
+        console.error('Error starting camera:', error);
+        setCameraError('Could not access the camera. Please allow camera access and try again.');
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      cancelled = true;
+      if (frameId) cancelAnimationFrame(frameId);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  if (cameraError) {
+    return <Alert variant="danger">{cameraError}</Alert>;
+  }
+
+  return (
+    <div className="position-relative bg-dark rounded overflow-hidden">
+      <video
+        ref={videoRef}
+        className="w-100 d-block"
+        style={{ maxHeight: '360px', objectFit: 'cover' }}
+        playsInline
+        muted
+      />
+      <canvas ref={canvasRef} className="d-none" />
+    </div>
+  );
+};
+
+export default QrScanner;
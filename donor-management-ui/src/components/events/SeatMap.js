@@ -0,0 +1,98 @@
+import React, { useMemo } from 'react';
+import { Badge } from 'react-bootstrap';
+
+// Button variant for each seat status
+const SEAT_VARIANTS = {
+  AVAILABLE: 'outline-success',
+  RESERVED: 'secondary',
+  OCCUPIED: 'dark',
+  BLOCKED: 'light'
+};
+
+// Rows and seat numbers are strings ("2", "T3"), so compare them by their numeric part
+const compareLabels = (a, b) => {
+  const numberA = parseInt(a.replace(/\D/g, ''), 10) || 0;
+  const numberB = parseInt(b.replace(/\D/g, ''), 10) || 0;
+  return numberA - numberB || a.localeCompare(b);
+};
+
+const describeSeat = (seat) => {
+  const parts = [`Section ${seat.section}, row ${seat.row}, seat ${seat.number}`, seat.status.toLowerCase()];
+  if (seat.block) parts.push(`${seat.block} block`);
+  if (seat.assignedTo) parts.push(`${seat.assignedTo.firstName || 'Donor'} ${seat.assignedTo.lastName || seat.assignedTo.id}`);
+  return parts.join(' · ');
+};
+
+// Visual seat map grouped by section and row
+const SeatMap = ({ seats, selectedSeatIds = [], highlightedSeatId = null, onSeatClick, isSeatSelectable = () => true }) => {
+  // section -> row -> seats, in seating order
+  const sections = useMemo(() => {
+    const grouped = {};
+    seats.forEach(seat => {
+      grouped[seat.section] = grouped[seat.section] || {};
+      grouped[seat.section][seat.row] = grouped[seat.section][seat.row] || [];
+      grouped[seat.section][seat.row].push(seat);
+    });
+
+    return Object.keys(grouped).sort().map(section => ({
+      name: section,
+      rows: Object.keys(grouped[section]).sort(compareLabels).map(row => ({
+        name: row,
+        seats: grouped[section][row].sort((a, b) => compareLabels(a.number, b.number))
+      }))
+    }));
+  }, [seats]);
+
+  if (seats.length === 0) {
+    return <p className="text-muted">This event has no assigned seating.</p>;
+  }
+
+  return (
+    <div>
+      <div className="mb-3">
+        <Badge bg="success" className="me-2">Available</Badge>
+        <Badge bg="warning" text="dark" className="me-2">VIP / held</Badge>
+        <Badge bg="secondary" className="me-2">Reserved</Badge>
+        <Badge bg="dark" className="me-2">Occupied</Badge>
+        <Badge bg="light" text="dark" className="me-2 border">Blocked</Badge>
+        <Badge bg="primary">Selected</Badge>
+      </div>
+
+      <div className="text-center text-muted small border-bottom pb-1 mb-3">Stage</div>
+
+      {sections.map(section => (
+        <div key={section.name} className="mb-4">
+          <h6>Section {section.name}</h6>
+          {section.rows.map(row => (
+            <div key={row.name} className="d-flex align-items-center flex-wrap mb-1">
+              <span className="text-muted small me-2" style={{ width: '2.5rem' }}>{row.name}</span>
+              {row.seats.map(seat => {
+                const isSelected = selectedSeatIds.includes(seat.id);
+                const isHighlighted = highlightedSeatId === seat.id;
+                let variant = SEAT_VARIANTS[seat.status] || 'outline-secondary';
+                if (seat.status === 'AVAILABLE' && seat.block) variant = 'outline-warning';
+                if (isSelected) variant = 'primary';
+
+                return (
+                  <button
+                    key={seat.id}
+                    type="button"
+                    className={`btn btn-sm btn-${variant} me-1 mb-1 ${isHighlighted ? 'border border-3 border-info' : ''}`}
+                    style={{ width: '2.5rem' }}
+                    title={describeSeat(seat)}
+                    disabled={seat.status === 'BLOCKED' || !isSeatSelectable(seat)}
+                    onClick={() => onSeatClick(seat)}
+                  >
+                    {seat.number}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SeatMap;
@@ -18,6 +18,7 @@ const Header = () => {
                 <Nav.Link as={Link} to="/dashboard">Dashboard</Nav.Link>
                 <NavDropdown title={user.firstName || "User"} id="user-dropdown">
                   <NavDropdown.Item as={Link} to="/profile">Profile</NavDropdown.Item>
+                  <NavDropdown.Item as={Link} to="/account/security">Security</NavDropdown.Item>
                   <NavDropdown.Divider />
                   <NavDropdown.Item onClick={logout}>Logout</NavDropdown.Item>
                 </NavDropdown>
@@ -5,7 +5,10 @@ export const login = async (credentials) => {
   try {
     const response = await api.post('/auth/login', credentials);
     if (response.data.success) {
-      setTokens(response.data.token, response.data.refreshToken);
+      // Accounts with two-factor authentication get a challenge instead of tokens
+      if (response.data.token) {
+        setTokens(response.data.token, response.data.refreshToken);
+      }
       return response.data;
     }
     throw new Error('Login failed');
@@ -35,3 +38,89 @@ export const getCurrentUser = async () => {
     throw error.response ? error.response.data : error;
   }
 };
+
+export const forgotPassword = async (email) => {
+  try {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const verifyEmail = async (token) => {
+  try {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const resendVerification = async (email) => {
+  try {
+    const response = await api.post('/auth/resend-verification', { email });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const verifyTwoFactorLogin = async (challengeToken, code) => {
+  try {
+    const response = await api.post('/auth/login/two-factor', { challengeToken, code });
+    setTokens(response.data.token, response.data.refreshToken);
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const setupTwoFactor = async (challengeToken) => {
+  try {
+    const response = await api.post('/auth/two-factor/setup', { challengeToken });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+// When enrolling at sign-in (with a challenge token) the response also carries the session tokens
+export const enableTwoFactor = async (code, challengeToken) => {
+  try {
+    const response = await api.post('/auth/two-factor/enable', { code, challengeToken });
+    if (response.data.token) {
+      setTokens(response.data.token, response.data.refreshToken);
+    }
+    return response.data.data || response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  try {
+    const response = await api.post('/auth/two-factor/recovery-codes', { code });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const disableTwoFactor = async (password, code) => {
+  try {
+    const response = await api.post('/auth/two-factor/disable', { password, code });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
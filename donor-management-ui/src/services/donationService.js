@@ -35,3 +35,12 @@ export const updateDonation = async (id, donationData) => {
     throw error.response ? error.response.data : error;
   }
 };
+
+export const getEventRevenue = async (eventId) => {
+  try {
+    const response = await api.get('/donations/statistics/events', { params: { eventId } });
+    return response.data.data[0] || null;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
@@ -62,3 +62,111 @@ export const registerDonorForEvent = async (eventId, registrationData) => {
     throw error.response ? error.response.data : error;
   }
 };
+
+export const checkInAttendee = async (eventId, donorId) => {
+  try {
+    const response = await api.post(`/events/${eventId}/check-in`, { donorId });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const syncOfflineCheckIns = async (eventId, deviceId, checkIns) => {
+  try {
+    const response = await api.post(`/events/${eventId}/check-ins/bulk`, { deviceId, checkIns });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const getEventSeats = async (eventId, params = {}) => {
+  try {
+    const response = await api.get(`/events/${eventId}/seats`, { params });
+    return response.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const moveAttendeeSeat = async (eventId, attendeeId, seatId) => {
+  try {
+    const response = await api.put(`/events/${eventId}/attendees/${attendeeId}/seat`, { seatId });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const setSeatBlock = async (eventId, seatIds, block) => {
+  try {
+    const response = await api.put(`/events/${eventId}/seats/block`, { seatIds, block });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const cancelRegistration = async (eventId, attendeeId) => {
+  try {
+    const response = await api.post(`/events/${eventId}/attendees/${attendeeId}/cancel`);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const markNoShow = async (eventId, attendeeId) => {
+  try {
+    const response = await api.post(`/events/${eventId}/attendees/${attendeeId}/no-show`);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const cancelEvent = async (eventId, reason) => {
+  try {
+    const response = await api.post(`/events/${eventId}/cancel`, { reason });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const createEventSeries = async (seriesData) => {
+  try {
+    const response = await api.post('/events/series', seriesData);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const getEventSeries = async (seriesId) => {
+  try {
+    const response = await api.get(`/events/series/${seriesId}`);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const updateEventSeries = async (seriesId, seriesData) => {
+  try {
+    const response = await api.put(`/events/series/${seriesId}`, seriesData);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const updateTicketTiers = async (eventId, ticketTiers) => {
+  try {
+    const response = await api.put(`/events/${eventId}/ticket-tiers`, { ticketTiers });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
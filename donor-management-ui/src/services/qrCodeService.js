@@ -0,0 +1,28 @@
+import api from '../utils/axiosConfig';
+
+export const getQrCodeById = async (id) => {
+  try {
+    const response = await api.get(`/qr-codes/${id}`);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const verifyQrCode = async (qrData) => {
+  try {
+    const response = await api.post('/qr-codes/verify', { qrData });
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
+
+export const getEventTickets = async (eventId) => {
+  try {
+    const response = await api.get(`/qr-codes/events/${eventId}/tickets`);
+    return response.data.data;
+  } catch (error) {
+    throw error.response ? error.response.data : error;
+  }
+};
@@ -26,7 +26,9 @@ instance.interceptors.response.use(
     return response;
   },
   (error) => {
-    if (error.response && error.response.status === 401) {
+    // Failed sign-in attempts are shown on the sign-in screen instead
+    const isSignInRequest = error.config && error.config.url.startsWith('/auth/login');
+    if (error.response && error.response.status === 401 && !isSignInRequest) {
       // Unauthorized, clear tokens and redirect to login
       removeTokens();
       window.location.href = '/login';
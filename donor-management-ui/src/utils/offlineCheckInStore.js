@@ -0,0 +1,108 @@
+// Browser storage (IndexedDB) for offline event check-in: the downloaded event
+// manifest and the check-ins recorded while offline, until they are synced.
+
+const DB_NAME = 'donor-management-check-in';
+const DB_VERSION = 1;
+const MANIFESTS = 'manifests';
+const CHECK_INS = 'checkIns';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('Offline storage is not supported in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(MANIFESTS)) {
+          db.createObjectStore(MANIFESTS, { keyPath: 'eventId' });
+        }
+        if (!db.objectStoreNames.contains(CHECK_INS)) {
+          const store = db.createObjectStore(CHECK_INS, { keyPath: 'clientId' });
+          store.createIndex('eventId', 'eventId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run a single request against an object store and resolve with its result
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Stable ID for this browser, so the server can tell check-in devices apart
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem('checkInDeviceId');
+  if (!deviceId) {
+    deviceId = `device_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    localStorage.setItem('checkInDeviceId', deviceId);
+  }
+  return deviceId;
+};
+
+export const saveManifest = (manifest) => {
+  return runRequest(MANIFESTS, 'readwrite', store => store.put(manifest));
+};
+
+export const getManifest = (eventId) => {
+  return runRequest(MANIFESTS, 'readonly', store => store.get(eventId));
+};
+
+export const recordCheckIn = (checkIn) => {
+  return runRequest(CHECK_INS, 'readwrite', store => store.put(checkIn));
+};
+
+export const getCheckIns = (eventId) => {
+  return runRequest(CHECK_INS, 'readonly', store => store.index('eventId').getAll(eventId));
+};
+
+export const getPendingCheckIns = async (eventId) => {
+  const checkIns = await getCheckIns(eventId);
+  return checkIns.filter(checkIn => !checkIn.synced);
+};
+
+// Record the server's answer for each synced check-in
+export const markCheckInsSynced = async (results) => {
+  for (const result of results) {
+    const checkIn = await runRequest(CHECK_INS, 'readonly', store => store.get(result.clientId));
+    if (checkIn) {
+      await recordCheckIn({
+        ...checkIn,
+        synced: true,
+        syncStatus: result.status,
+        syncReason: result.reason || null
+      });
+    }
+  }
+};
+
+/**
+ * SHA-256 hex digest of a string, used to compare a scanned ticket signature
+ * against the signature hashes in the downloaded manifest
+ */
+export const sha256Hex = async (value) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
@@ -5,6 +5,10 @@ const axios = require('axios');
 const app = express();
 const PORT = process.env.PORT || 3002;
 const amqp = require('amqplib');
+const { isValidPan } = require('../shared/panValidator');
+const { authenticate, requirePermission } = require('../shared/permissions');
+const { forwardIdentity } = require('../shared/identity');
+const { consumeWithRetry } = require('../shared/messaging');
 
 app.use(express.json());
 
@@ -48,6 +52,15 @@ async function connectToRabbitMQ() {
     await rabbitChannel.bindQueue('donor-updated', 'donor-events', 'donor.updated');
     await rabbitChannel.bindQueue('donor-verified', 'donor-events', 'donor.verified');
     
+    // Donation events keep the donor's donation totals up to date
+    await rabbitChannel.assertQueue('donor-donation-events', { durable: true });
+    await rabbitChannel.bindQueue('donor-donation-events', 'donor-events', 'donation.created');
+    await rabbitChannel.bindQueue('donor-donation-events', 'donor-events', 'donation.updated');
+    await rabbitChannel.bindQueue('donor-donation-events', 'donor-events', 'donation.deleted');
+    
+    // Failed events are retried after a delay, then parked in donor-donation-events.dead-letter
+    await consumeWithRetry(rabbitChannel, 'donor-donation-events', handleDonationEvent);
+    
     console.log('Connected to RabbitMQ and configured exchanges/queues');
   } catch (error) {
     console.error('Error connecting to RabbitMQ:', error);
@@ -120,6 +133,10 @@ const donorSchema = new mongoose.Schema({
   postalCode: { type: String },
   preferredCommunication: { type: String, enum: ['email', 'sms', 'whatsapp', 'call'], default: 'email' },
   totalDonations: { type: Number, default: 0 },
+  donationCount: { type: Number, default: 0 },
+  firstDonationDate: { type: Date },
+  lastDonationDate: { type: Date },
+  largestDonation: { type: Number, default: 0 },
   createdBy: { type: String, required: true }, // User ID who created this donor
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -136,6 +153,137 @@ donorSchema.index({
 
 const Donor = mongoose.model('Donor', donorSchema);
 
+// Local copy of each donor's donations, maintained from donation events so the
+// aggregates on Donor can be recomputed exactly when donations change or are deleted
+const donorDonationSchema = new mongoose.Schema({
+  donationId: { type: String, required: true, unique: true },
+  donorId: { type: String, required: true },
+  amount: { type: Number, required: true },
+  donationDate: { type: Date, required: true },
+  updatedAt: { type: Date }
+});
+
+donorDonationSchema.index({ donorId: 1 });
+
+const DonorDonation = mongoose.model('DonorDonation', donorDonationSchema);
+
+// Aggregates for a donor without any donations
+const EMPTY_DONATION_AGGREGATES = {
+  totalDonations: 0,
+  donationCount: 0,
+  firstDonationDate: null,
+  lastDonationDate: null,
+  largestDonation: 0
+};
+
+// Group stage computing the Donor aggregates from DonorDonation entries
+const DONATION_AGGREGATES_GROUP = {
+  totalDonations: { $sum: '$amount' },
+  donationCount: { $sum: 1 },
+  firstDonationDate: { $min: '$donationDate' },
+  lastDonationDate: { $max: '$donationDate' },
+  largestDonation: { $max: '$amount' }
+};
+
+// Recompute a donor's donation aggregates from their recorded donations
+async function refreshDonorAggregates(donorId) {
+  if (!mongoose.Types.ObjectId.isValid(donorId)) {
+    return;
+  }
+  
+  const [stats] = await DonorDonation.aggregate([
+    { $match: { donorId: donorId.toString() } },
+    { $group: { _id: '$donorId', ...DONATION_AGGREGATES_GROUP } }
+  ]);
+  
+  const { _id, ...aggregates } = stats || { _id: null, ...EMPTY_DONATION_AGGREGATES };
+  await Donor.updateOne({ _id: donorId }, { $set: aggregates });
+}
+
+// Apply a donation.created/updated/deleted event to the donor's aggregates
+async function handleDonationEvent(event, routingKey) {
+  const existing = await DonorDonation.findOne({ donationId: event.id });
+  
+  if (routingKey === 'donation.deleted') {
+    if (existing) {
+      await DonorDonation.deleteOne({ _id: existing._id });
+      await refreshDonorAggregates(existing.donorId);
+    }
+    return;
+  }
+  
+  // Ignore events older than what has already been applied
+  if (existing && existing.updatedAt && new Date(event.updatedAt) < existing.updatedAt) {
+    return;
+  }
+  
+  await DonorDonation.updateOne(
+    { donationId: event.id },
+    {
+      $set: {
+        donorId: event.donorId,
+        amount: event.amount,
+        donationDate: event.donationDate,
+        updatedAt: event.updatedAt
+      }
+    },
+    { upsert: true }
+  );
+  
+  await refreshDonorAggregates(event.donorId);
+  if (existing && existing.donorId !== event.donorId) {
+    await refreshDonorAggregates(existing.donorId);
+  }
+}
+
+// Build headers for service-to-service calls, leaving out any the caller did not send
+// (the service token authenticates calls that have no user behind them)
+const forwardHeaders = (headers) => {
+  const forwarded = {
+    ...forwardIdentity(headers),
+    'x-service-token': process.env.INTERNAL_SERVICE_TOKEN
+  };
+  
+  Object.keys(forwarded).forEach(key => {
+    if (forwarded[key] === undefined) delete forwarded[key];
+  });
+  
+  return forwarded;
+};
+
+/**
+ * Fetch every donation from the donation service, page by page
+ * @param {object} headers - Incoming request headers to forward
+ * @returns {Promise<object[]>} - All donations, without donor or receipt details
+ */
+async function fetchAllDonations(headers) {
+  const donationServiceUrl = process.env.DONATION_SERVICE_URL || 'http://donation-service:3003';
+  const donations = [];
+  let page = 1;
+  let totalPages = 1;
+  
+  do {
+    const response = await axios.get(`${donationServiceUrl}/`, {
+      headers: forwardHeaders(headers),
+      // Many donations share a date, so _id keeps the order stable from page to page.
+      // The ledger only needs the donations themselves, not the donor and receipt details
+      // donation-service would otherwise look up (calling back into this service).
+      params: { enrich: false, page, limit: 500, sort: 'donationDate,_id' },
+      timeout: 10000
+    });
+    
+    if (!response.data || !response.data.success) {
+      throw new Error('Invalid response format from donation service');
+    }
+    
+    donations.push(...response.data.data);
+    totalPages = response.data.pagination.totalPages;
+    page++;
+  } while (page <= totalPages);
+  
+  return donations;
+}
+
 // Pagination middleware
 const paginate = (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
@@ -150,8 +298,11 @@ const paginate = (req, res, next) => {
   next();
 };
 
+// Every route requires an authenticated user (or a service call)
+app.use(authenticate);
+
 // Get all donors
-app.get('/', paginate, async (req, res) => {
+app.get('/', requirePermission('view-donors'), paginate, async (req, res) => {
   try {
     const { page, limit, skip } = req.pagination;
     
@@ -221,8 +372,75 @@ app.get('/', paginate, async (req, res) => {
   }
 });
 
+// Get multiple donors by batch
+// (registered before /:donorId so that 'batch' is not treated as a donor ID)
+app.get('/batch', requirePermission('view-donors'), async (req, res) => {
+  try {
+    // Extract donor IDs from query parameter
+    const donorIds = req.query.ids ? req.query.ids.split(',') : [];
+    
+    if (!donorIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'No donor IDs provided',
+          details: [{ param: 'ids', message: 'At least one donor ID is required' }]
+        }
+      });
+    }
+    
+    // Check if all IDs are valid MongoDB ObjectIDs
+    const invalidIds = donorIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid donor ID format',
+          details: invalidIds.map(id => ({ param: 'ids', value: id, message: 'Invalid MongoDB ObjectID format' }))
+        }
+      });
+    }
+    
+    // Convert string IDs to ObjectIDs for the query
+    const objectIds = donorIds.map(id => mongoose.Types.ObjectId(id));
+    
+    // Fetch donors
+    const donors = await Donor.find({ _id: { $in: objectIds } });
+    
+    // Create a Map for O(1) lookups
+    const donorMap = new Map();
+    donors.forEach(donor => donorMap.set(donor._id.toString(), donor));
+    
+    // Maintain the order of the requested IDs and handle missing donors
+    const orderedDonors = donorIds.map(id => {
+      const donor = donorMap.get(id);
+      if (donor) {
+        return donor;
+      }
+      return null;
+    }).filter(Boolean); // Remove nulls for donors that weren't found
+    
+    res.json({
+      success: true,
+      count: orderedDonors.length,
+      data: orderedDonors
+    });
+  } catch (error) {
+    console.error('Error in batch donors endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 // Get single donor
-app.get('/:donorId', [
+app.get('/:donorId', requirePermission('view-donors'), [
   param('donorId').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -267,7 +485,7 @@ app.get('/:donorId', [
 });
 
 // Create donor
-app.post('/', [
+app.post('/', requirePermission('manage-donors'), [
   body('firstName').notEmpty(),
   body('lastName').notEmpty(),
   body('email').isEmail(),
@@ -304,9 +522,7 @@ app.post('/', [
       });
     }
     
-    // Get user ID from JWT (in a real implementation)
-    // For now, we'll use a placeholder
-    const userId = req.headers['x-user-id'] || 'system';
+    const userId = req.user.id;
     
     // Create new donor
     const donor = new Donor({
@@ -358,7 +574,7 @@ app.post('/', [
 });
 
 // Update donor
-app.put('/:donorId', [
+app.put('/:donorId', requirePermission('manage-donors'), [
   param('donorId').isMongoId(),
   body('firstName').optional(),
   body('lastName').optional(),
@@ -413,7 +629,7 @@ app.put('/:donorId', [
     const updateEventData = {
       id: donor._id,
       changes: {}, // Populate with changed fields only
-      updatedBy: req.headers['x-user-id'] || 'system',
+      updatedBy: req.user.id,
       updatedAt: donor.updatedAt
     };
         // Add changed fields to the event data
@@ -446,7 +662,7 @@ app.put('/:donorId', [
 });
 
 // Verify donor PAN
-app.post('/:donorId/verify-pan', [
+app.post('/:donorId/verify-pan', requirePermission('manage-donors'), [
   param('donorId').isMongoId(),
   body('panNumber').notEmpty()
 ], async (req, res) => {
@@ -478,7 +694,7 @@ app.post('/:donorId/verify-pan', [
     // In a real implementation, this would call a PAN verification service
     // For this example, we'll simulate a successful verification
     const panNumber = req.body.panNumber;
-    const isValid = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(panNumber);
+    const isValid = isValidPan(panNumber);
     
     if (isValid) {
       donor.panNumber = panNumber;
@@ -516,7 +732,7 @@ app.post('/:donorId/verify-pan', [
 
 // Get donor donations
 // Get donor donations from the donation service
-app.get('/:donorId/donations', [
+app.get('/:donorId/donations', requirePermission('view-donors'), [
   param('donorId').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -548,12 +764,8 @@ app.get('/:donorId/donations', [
     const donationServiceUrl = process.env.DONATION_SERVICE_URL || 'http://donation-service:3003';
     
     try {
-      // Forward necessary headers for authentication
-      const headers = {
-        'Authorization': req.headers.authorization,
-        'x-user-id': req.headers['x-user-id'],
-        'x-user-role': req.headers['x-user-role']
-      };
+      // Forward the signed identity for authentication
+      const headers = forwardIdentity(req.headers);
       
       // Call donation service to get donations for this donor
       const response = await axios.get(`${donationServiceUrl}/donor/${req.params.donorId}`, {
@@ -641,7 +853,7 @@ app.get('/:donorId/donations', [
 });
 
 // Get donor events from the event service
-app.get('/:donorId/events', [
+app.get('/:donorId/events', requirePermission('view-donors'), [
   param('donorId').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -673,11 +885,9 @@ app.get('/:donorId/events', [
     const eventServiceUrl = process.env.EVENT_SERVICE_URL || 'http://event-service:3005';
     
     try {
-      // Forward necessary headers for authentication
+      // Forward the signed identity for authentication
       const headers = {
-        'Authorization': req.headers.authorization,
-        'x-user-id': req.headers['x-user-id'],
-        'x-user-role': req.headers['x-user-role'],
+        ...forwardIdentity(req.headers),
         'x-request-id': req.headers['x-request-id'] || `req_${Date.now()}`
       };
       
@@ -767,64 +977,75 @@ app.get('/:donorId/events', [
   }
 });
 
-// Add this endpoint to donor-service/server.js after the other routes
-
-// Get multiple donors by batch
-app.get('/batch', async (req, res) => {
+// Recompute every donor's donation aggregates from the donation service (admin repair tool)
+app.post('/aggregates/recompute', requirePermission('manage-settings'), async (req, res) => {
   try {
-    // Extract donor IDs from query parameter
-    const donorIds = req.query.ids ? req.query.ids.split(',') : [];
-    
-    if (!donorIds.length) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'No donor IDs provided',
-          details: [{ param: 'ids', message: 'At least one donor ID is required' }]
-        }
-      });
-    }
+    const donations = await fetchAllDonations(req.headers);
     
-    // Check if all IDs are valid MongoDB ObjectIDs
-    const invalidIds = donorIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
-    if (invalidIds.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid donor ID format',
-          details: invalidIds.map(id => ({ param: 'ids', value: id, message: 'Invalid MongoDB ObjectID format' }))
+    // Rebuild the local donation ledger from the donation service's records: upsert every
+    // donation, then drop entries the donation service no longer has. The ledger stays
+    // complete throughout, so a failure part-way leaves it no worse than before.
+    // Events consumed while this runs are re-applied by the next recompute.
+    const ledger = donations.filter(donation => donation.donorId);
+    if (ledger.length) {
+      await DonorDonation.bulkWrite(ledger.map(donation => ({
+        updateOne: {
+          filter: { donationId: donation.id.toString() },
+          update: {
+            $set: {
+              donorId: donation.donorId,
+              amount: donation.amount,
+              donationDate: donation.donationDate,
+              updatedAt: donation.updatedAt
+            }
+          },
+          upsert: true
         }
-      });
+      })), { ordered: false });
     }
+    await DonorDonation.deleteMany({ donationId: { $nin: ledger.map(donation => donation.id.toString()) } });
     
-    // Convert string IDs to ObjectIDs for the query
-    const objectIds = donorIds.map(id => mongoose.Types.ObjectId(id));
+    const stats = await DonorDonation.aggregate([
+      { $group: { _id: '$donorId', ...DONATION_AGGREGATES_GROUP } }
+    ]);
     
-    // Fetch donors
-    const donors = await Donor.find({ _id: { $in: objectIds } });
+    const donorStats = stats.filter(({ _id }) => mongoose.Types.ObjectId.isValid(_id));
+    const updates = donorStats.map(({ _id, ...aggregates }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: aggregates }
+      }
+    }));
     
-    // Create a Map for O(1) lookups
-    const donorMap = new Map();
-    donors.forEach(donor => donorMap.set(donor._id.toString(), donor));
+    const result = updates.length ? await Donor.bulkWrite(updates) : { nModified: 0 };
     
-    // Maintain the order of the requested IDs and handle missing donors
-    const orderedDonors = donorIds.map(id => {
-      const donor = donorMap.get(id);
-      if (donor) {
-        return donor;
-      }
-      return null;
-    }).filter(Boolean); // Remove nulls for donors that weren't found
+    // Donors whose donations were all deleted drop to zero
+    await Donor.updateMany(
+      { _id: { $nin: donorStats.map(({ _id }) => _id) } },
+      { $set: EMPTY_DONATION_AGGREGATES }
+    );
     
     res.json({
       success: true,
-      count: orderedDonors.length,
-      data: orderedDonors
+      data: {
+        donationsProcessed: donations.length,
+        donorsWithDonations: stats.length,
+        donorsUpdated: result.nModified
+      }
     });
   } catch (error) {
-    console.error('Error in batch donors endpoint:', error);
+    console.error('Error recomputing donor aggregates:', error);
+    
+    if (error.request && !error.response) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Donation service temporarily unavailable'
+        }
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: {
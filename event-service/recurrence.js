@@ -0,0 +1,95 @@
+// Recurrence rules for event series.
+//
+// A series stores an RRULE without DTSTART plus the calendar date of its first occurrence.
+// Occurrences are whole days, held as midnight UTC of their calendar date like event dates.
+
+const { RRule } = require('rrule');
+
+// Most occurrences generated at once, and how far ahead an open-ended series reaches
+const MAX_SERIES_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES) || 52;
+const SERIES_HORIZON_DAYS = parseInt(process.env.SERIES_HORIZON_DAYS) || 365;
+
+// Midnight UTC of the calendar date of a moment
+const toUtcDay = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00Z`);
+
+/**
+ * Build a recurrence rule from a request
+ * @param {object} recurrence - frequency (WEEKLY, MONTHLY or CUSTOM), interval, rule (for CUSTOM),
+ *   until and count
+ * @returns {object} - rule (RRULE without DTSTART), or error when the rule is not usable
+ */
+function buildRecurrenceRule(recurrence) {
+  let options;
+  if (recurrence.frequency === 'CUSTOM') {
+    try {
+      options = RRule.parseString(recurrence.rule.trim().replace(/^RRULE:/i, ''));
+    } catch (error) {
+      return { error: `Invalid recurrence rule: ${error.message}` };
+    }
+    // Occurrences are whole days, so sub-daily rules and time parts do not apply
+    if (![RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY].includes(options.freq)) {
+      return { error: 'Recurrence rule must repeat daily, weekly, monthly or yearly' };
+    }
+    delete options.dtstart;
+    delete options.tzid;
+    delete options.byhour;
+    delete options.byminute;
+    delete options.bysecond;
+  } else {
+    options = {
+      freq: recurrence.frequency === 'WEEKLY' ? RRule.WEEKLY : RRule.MONTHLY,
+      interval: parseInt(recurrence.interval) || 1
+    };
+  }
+
+  if (recurrence.count) {
+    options.count = parseInt(recurrence.count);
+  }
+  if (recurrence.until) {
+    options.until = toUtcDay(recurrence.until);
+  }
+
+  return { rule: RRule.optionsToString(options).replace(/^RRULE:/, '') };
+}
+
+// Recurrence rule starting on a calendar date
+const toRRule = (rule, startDate) => new RRule({ ...RRule.parseString(rule), dtstart: new Date(startDate) });
+
+/**
+ * Calendar dates a recurrence rule produces, up to SERIES_HORIZON_DAYS after its start.
+ * An open-ended rule stops at MAX_SERIES_OCCURRENCES; a rule with a count or end date that
+ * goes past it is refused, since the series would silently end early.
+ * @param {string} rule - RRULE without DTSTART
+ * @param {Date} startDate - Midnight UTC of the first calendar date
+ * @returns {object} - dates (midnight UTC), or error when the rule produces none or too many
+ */
+function expandRecurrence(rule, startDate) {
+  const recurrence = toRRule(rule, startDate);
+  const openEnded = !recurrence.options.count && !recurrence.options.until;
+  const horizon = new Date(startDate.getTime() + SERIES_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  // Bounded rules are read one past the limit so an overrun can be reported
+  const limit = openEnded ? MAX_SERIES_OCCURRENCES : MAX_SERIES_OCCURRENCES + 1;
+  const dates = recurrence.all((date, index) => date < horizon && index < limit);
+
+  if (dates.length === 0) {
+    return { error: 'Recurrence rule does not produce any dates' };
+  }
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    return {
+      error: `Recurrence rule produces more than ${MAX_SERIES_OCCURRENCES} occurrences; set an earlier end date or a smaller count`
+    };
+  }
+
+  return { dates };
+}
+
+// Human-readable recurrence of a series, e.g. "every month on the 2nd Sunday"
+const describeRecurrence = (series) => toRRule(series.recurrence.rule, series.recurrence.startDate).toText();
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_HORIZON_DAYS,
+  buildRecurrenceRule,
+  expandRecurrence,
+  describeRecurrence
+};
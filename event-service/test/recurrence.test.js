@@ -0,0 +1,49 @@
+// Tests for expanding series recurrence rules into occurrence dates
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_SERIES_OCCURRENCES, buildRecurrenceRule, expandRecurrence } = require('../recurrence');
+
+const startDate = new Date('2026-01-04T00:00:00Z');
+
+test('an open-ended weekly rule stops at the occurrence limit', () => {
+  const { rule } = buildRecurrenceRule({ frequency: 'WEEKLY' });
+  const { dates, error } = expandRecurrence(rule, startDate);
+
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(dates.length, MAX_SERIES_OCCURRENCES);
+  assert.deepStrictEqual(dates[0], startDate);
+  assert.deepStrictEqual(dates[1], new Date('2026-01-11T00:00:00Z'));
+});
+
+test('an open-ended monthly rule stops at the horizon', () => {
+  const { rule } = buildRecurrenceRule({ frequency: 'MONTHLY' });
+  const { dates } = expandRecurrence(rule, startDate);
+
+  assert.strictEqual(dates.length, 12);
+  assert.deepStrictEqual(dates[11], new Date('2026-12-04T00:00:00Z'));
+});
+
+test('an end date beyond the occurrence limit is refused', () => {
+  const { rule } = buildRecurrenceRule({ frequency: 'WEEKLY', until: '2027-06-30' });
+  const { dates, error } = expandRecurrence(rule, startDate);
+
+  assert.strictEqual(dates, undefined);
+  assert.match(error, /more than 52 occurrences/);
+});
+
+test('a custom rule with a count beyond the occurrence limit is refused', () => {
+  const { rule } = buildRecurrenceRule({ frequency: 'CUSTOM', rule: 'RRULE:FREQ=DAILY;COUNT=60' });
+  const { error } = expandRecurrence(rule, startDate);
+
+  assert.match(error, /more than 52 occurrences/);
+});
+
+test('a count within the limit produces exactly that many dates', () => {
+  const { rule } = buildRecurrenceRule({ frequency: 'WEEKLY', interval: 2, count: 5 });
+  const { dates } = expandRecurrence(rule, startDate);
+
+  assert.deepStrictEqual(dates.map(date => date.toISOString().slice(0, 10)), [
+    '2026-01-04', '2026-01-18', '2026-02-01', '2026-02-15', '2026-03-01'
+  ]);
+});
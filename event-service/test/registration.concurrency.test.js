@@ -0,0 +1,231 @@
+// Concurrency tests for event registration: parallel requests against an in-memory MongoDB
+// must never overbook an event, hand one seat to two donors or register a donor twice.
+//
+// Run with `npm test` (mongodb-memory-server downloads a MongoDB binary on first use).
+// The QR, donor and admin services are replaced by a local stub server.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { signIdentity } = require('../../shared/identity');
+const { PERMISSION_NAMES } = require('../../shared/permissions');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+let upstreamServer;
+let apiServer;
+let api;
+
+// Stub for the services event-service calls: QR tickets are issued after a short delay to
+// widen the window in which concurrent registrations overlap
+const startUpstreamStub = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'POST' && req.url === '/') {
+      setTimeout(() => reply(201, {
+        success: true,
+        data: {
+          id: crypto.randomBytes(12).toString('hex'),
+          qrImageUrl: 'data:image/png;base64,',
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        }
+      }), 20);
+      return;
+    }
+
+    if (req.method === 'PUT' && /\/status$/.test(req.url)) {
+      reply(200, { success: true, data: {} });
+      return;
+    }
+
+    // Donor and admin lookups fall back to their defaults
+    reply(404, { success: false, error: { code: 'RESOURCE_NOT_FOUND', message: 'Not found' } });
+  });
+
+  server.listen(0, () => resolve(server));
+});
+
+const newDonorId = () => new mongoose.Types.ObjectId().toString();
+
+const createEvent = async (maxCapacity, extra = {}) => {
+  const eventDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const response = await api.post('/', {
+    title: 'Concurrency test gala',
+    eventDate,
+    startTime: '18:00',
+    endTime: '21:00',
+    location: 'Test hall',
+    maxCapacity,
+    ...extra
+  });
+  return response.data.data;
+};
+
+const register = (eventId, body) => api.post(`/${eventId}/register`, body);
+
+before(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  upstreamServer = await startUpstreamStub();
+
+  const upstreamUrl = `http://127.0.0.1:${upstreamServer.address().port}`;
+  process.env.MONGODB_URI = mongoServer.getUri('event-service-test');
+  process.env.QR_SERVICE_URL = upstreamUrl;
+  process.env.DONOR_SERVICE_URL = upstreamUrl;
+  process.env.ADMIN_SERVICE_URL = upstreamUrl;
+  process.env.NOTIFICATION_SERVICE_URL = upstreamUrl;
+  process.env.IDENTITY_SIGNING_SECRET = 'test-secret';
+
+  const app = require('../server');
+  if (mongoose.connection.readyState !== 1) {
+    await new Promise(resolve => mongoose.connection.once('open', resolve));
+  }
+  // The unique event/donor index must exist before the parallel inserts
+  await mongoose.model('Attendee').init();
+
+  apiServer = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  api = axios.create({
+    baseURL: `http://127.0.0.1:${apiServer.address().port}`,
+    validateStatus: () => true
+  });
+  // Requests carry the identity headers the gateway would sign for an admin
+  const adminId = newDonorId();
+  api.interceptors.request.use(config => {
+    Object.assign(config.headers, signIdentity({ id: adminId, role: 'admin', username: 'admin', permissions: PERMISSION_NAMES }));
+    return config;
+  });
+});
+
+after(async () => {
+  if (apiServer) await new Promise(resolve => apiServer.close(resolve));
+  if (upstreamServer) await new Promise(resolve => upstreamServer.close(resolve));
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+test('parallel registrations never exceed capacity and the rest join the waitlist in order', async () => {
+  const capacity = 10;
+  const event = await createEvent(capacity);
+
+  const responses = await Promise.all(
+    Array.from({ length: 50 }, () => register(event.id, { donorId: newDonorId() }))
+  );
+
+  assert.ok(responses.every(response => response.status === 201), 'every registration is accepted');
+
+  const registered = responses.filter(r => r.data.data.attendance.status === 'REGISTERED');
+  const waitlisted = responses.filter(r => r.data.data.attendance.status === 'WAITLISTED');
+  assert.strictEqual(registered.length, capacity);
+  assert.strictEqual(waitlisted.length, 50 - capacity);
+
+  const seatIds = registered.map(r => r.data.data.attendance.seat.toString());
+  assert.strictEqual(new Set(seatIds).size, capacity, 'no seat is handed out twice');
+
+  const positions = waitlisted.map(r => r.data.data.attendance.waitlistPosition).sort((a, b) => a - b);
+  assert.deepStrictEqual(positions, Array.from({ length: 50 - capacity }, (_, i) => i + 1));
+
+  const { data: stored } = await api.get(`/${event.id}`);
+  assert.strictEqual(stored.data.registeredCount, capacity);
+
+  const { data: reservedSeats } = await api.get(`/${event.id}/seats`, { params: { status: 'RESERVED' } });
+  assert.strictEqual(reservedSeats.count, capacity);
+});
+
+test('parallel requests for the same seat give it to exactly one donor', async () => {
+  const event = await createEvent(30);
+  const { data: seats } = await api.get(`/${event.id}/seats`, { params: { status: 'AVAILABLE' } });
+  const seatId = seats.data[0].id;
+
+  const responses = await Promise.all(
+    Array.from({ length: 20 }, () => register(event.id, { donorId: newDonorId(), seatId }))
+  );
+
+  const accepted = responses.filter(response => response.status === 201);
+  assert.strictEqual(accepted.length, 1);
+  assert.ok(responses
+    .filter(response => response.status !== 201)
+    .every(response => response.status === 400 && response.data.error.message === 'Seat is not available'));
+
+  const { data: stored } = await api.get(`/${event.id}`);
+  assert.strictEqual(stored.data.registeredCount, 1, 'failed seat claims give their place back');
+});
+
+test('a donor registering several times at once is registered exactly once', async () => {
+  const event = await createEvent(20);
+  const donorId = newDonorId();
+
+  const responses = await Promise.all(
+    Array.from({ length: 10 }, () => register(event.id, { donorId }))
+  );
+
+  assert.strictEqual(responses.filter(response => response.status === 201).length, 1);
+  assert.ok(responses
+    .filter(response => response.status !== 201)
+    .every(response => response.data.error.code === 'DUPLICATE_ERROR'));
+
+  const { data: stored } = await api.get(`/${event.id}`);
+  assert.strictEqual(stored.data.registeredCount, 1);
+
+  const { data: reservedSeats } = await api.get(`/${event.id}/seats`, { params: { status: 'RESERVED' } });
+  assert.strictEqual(reservedSeats.count, 1);
+});
+
+test('parallel cancellations promote the same number of waitlisted donors', async () => {
+  const capacity = 5;
+  const event = await createEvent(capacity);
+
+  const registrations = [];
+  for (let i = 0; i < capacity + 5; i++) {
+    const response = await register(event.id, { donorId: newDonorId() });
+    registrations.push(response.data.data.attendance);
+  }
+
+  const toCancel = registrations.filter(attendance => attendance.status === 'REGISTERED').slice(0, 3);
+  const responses = await Promise.all(
+    toCancel.map(attendance => api.post(`/${event.id}/attendees/${attendance.id}/cancel`))
+  );
+  assert.ok(responses.every(response => response.status === 200));
+
+  const { data: stored } = await api.get(`/${event.id}`);
+  assert.strictEqual(stored.data.registeredCount, capacity);
+
+  const { data: attendees } = await api.get(`/${event.id}/attendees`);
+  const active = attendees.data.filter(attendee => attendee.status === 'REGISTERED');
+  assert.strictEqual(active.length, capacity);
+
+  const { data: waitlist } = await api.get(`/${event.id}/waitlist`);
+  assert.deepStrictEqual(waitlist.data.map(attendee => attendee.waitlistPosition), [1, 2]);
+});
+
+test('parallel registrations never sell more tickets than a tier holds', async () => {
+  const event = await createEvent(20, {
+    ticketTiers: [
+      { name: 'Front rows', price: 0, quantity: 4, section: 'A' },
+      { name: 'General', price: 0, quantity: 16 }
+    ]
+  });
+  const frontRows = event.ticketTiers.find(tier => tier.name === 'Front rows');
+
+  const responses = await Promise.all(
+    Array.from({ length: 15 }, () => register(event.id, { donorId: newDonorId(), ticketTierId: frontRows.id }))
+  );
+
+  const accepted = responses.filter(response => response.status === 201);
+  assert.strictEqual(accepted.length, 4);
+  assert.ok(responses
+    .filter(response => response.status !== 201)
+    .every(response => response.data.error.message === 'Front rows tickets are sold out'));
+  assert.ok(accepted.every(response => response.data.data.seat.section === 'A'), 'tier seats come from its section');
+
+  const { data: stored } = await api.get(`/${event.id}`);
+  assert.strictEqual(stored.data.registeredCount, 4, 'rejected tier claims give their place back');
+  assert.strictEqual(stored.data.ticketTiers.find(tier => tier.id === frontRows.id).soldCount, 4);
+});
@@ -0,0 +1,67 @@
+// Tests for the file-based weather advisory provider used in development and testing
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWeatherProvider } = require('../weather');
+const fileProvider = require('../weather/fileProvider');
+
+const writeAdvisories = (advisories) => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'advisories-')), 'advisories.json');
+  fs.writeFileSync(filePath, JSON.stringify({ advisories }));
+  return filePath;
+};
+
+const query = (overrides) => ({
+  eventId: 'event-1',
+  title: 'Monsoon fundraiser',
+  region: 'Maharashtra',
+  location: 'Shivaji Park, Mumbai',
+  date: '2026-07-12',
+  isOutdoor: true,
+  ...overrides
+});
+
+test('returns advisories covering the event date in its region', async () => {
+  const provider = fileProvider.create({
+    filePath: writeAdvisories([
+      { region: 'maharashtra', from: '2026-07-10', to: '2026-07-15', severity: 'WARNING', headline: 'Heavy rain' },
+      { region: 'Maharashtra', from: '2026-08-01', to: '2026-08-05', headline: 'Later rain' },
+      { region: 'Kerala', from: '2026-07-10', to: '2026-07-15', headline: 'Elsewhere' }
+    ])
+  });
+
+  const advisories = await provider.getAdvisories(query());
+  assert.deepStrictEqual(advisories.map(advisory => advisory.headline), ['Heavy rain']);
+  assert.strictEqual(advisories[0].severity, 'WARNING');
+  assert.strictEqual(advisories[0].validFrom, '2026-07-10');
+});
+
+test('matches on location and skips outdoor-only advisories for indoor events', async () => {
+  const provider = fileProvider.create({
+    filePath: writeAdvisories([
+      { location: 'mumbai', headline: 'Local trains delayed' },
+      { location: 'Pune', headline: 'Pune showers' },
+      { region: 'Maharashtra', outdoorOnly: true, headline: 'Move outdoor events indoors' }
+    ])
+  });
+
+  const outdoor = await provider.getAdvisories(query());
+  assert.deepStrictEqual(outdoor.map(advisory => advisory.headline), ['Local trains delayed', 'Move outdoor events indoors']);
+  assert.strictEqual(outdoor[0].severity, 'INFO');
+
+  const indoor = await provider.getAdvisories(query({ isOutdoor: false }));
+  assert.deepStrictEqual(indoor.map(advisory => advisory.headline), ['Local trains delayed']);
+});
+
+test('the bundled sample file is valid and providers are looked up by name', async () => {
+  const provider = fileProvider.create({ filePath: fileProvider.SAMPLE_FILE });
+  const advisories = await provider.getAdvisories(query({ region: 'Tamil Nadu', location: 'Chennai', date: '2026-11-15' }));
+  assert.strictEqual(advisories.length, 1);
+
+  assert.strictEqual(createWeatherProvider('none').name, 'none');
+  assert.deepStrictEqual(await createWeatherProvider('none').getAdvisories(query()), []);
+  assert.throws(() => createWeatherProvider('unknown'), /Unknown weather provider/);
+});
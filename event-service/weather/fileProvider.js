@@ -0,0 +1,65 @@
+// Weather advisory provider backed by a local JSON file. The file is read on every lookup,
+// so advisories can be edited while the service is running:
+//
+//   {
+//     "advisories": [
+//       {
+//         "region": "Maharashtra",        // matches the event region (case-insensitive), optional
+//         "location": "Mumbai",           // matches part of the event location, optional
+//         "from": "2026-07-01",           // first and last dates the advisory covers
+//         "to": "2026-07-05",
+//         "outdoorOnly": true,            // skip indoor events, optional
+//         "severity": "WARNING",
+//         "headline": "Heavy rainfall expected",
+//         "description": "..."
+//       }
+//     ]
+//   }
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_FILE = path.join(__dirname, 'advisories.sample.json');
+
+// Whether a file advisory applies to the event in a query
+const matchesQuery = (advisory, query) => {
+  if (advisory.region && (!query.region || advisory.region.toLowerCase() !== query.region.toLowerCase())) {
+    return false;
+  }
+  if (advisory.location && !(query.location || '').toLowerCase().includes(advisory.location.toLowerCase())) {
+    return false;
+  }
+  if (advisory.outdoorOnly && !query.isOutdoor) {
+    return false;
+  }
+  return (!advisory.from || advisory.from <= query.date) && (!advisory.to || advisory.to >= query.date);
+};
+
+/**
+ * Create a file-based weather advisory provider
+ * @param {object} options - filePath of the advisories file
+ * @returns {object} - Provider ({ name, getAdvisories })
+ */
+function create({ filePath }) {
+  return {
+    name: 'file',
+    getAdvisories: async (query) => {
+      const contents = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      
+      return (contents.advisories || [])
+        .filter(advisory => matchesQuery(advisory, query))
+        .map(advisory => ({
+          severity: advisory.severity || 'INFO',
+          headline: advisory.headline,
+          description: advisory.description,
+          validFrom: advisory.from,
+          validTo: advisory.to
+        }));
+    }
+  };
+}
+
+module.exports = {
+  SAMPLE_FILE,
+  create
+};
@@ -0,0 +1,52 @@
+// Weather advisory providers.
+//
+// A provider is an object with a `name` and an async `getAdvisories(query)` that returns
+// the advisories in force for an event. The query has the event's id, title, region,
+// location, date (YYYY-MM-DD) and isOutdoor flag; each advisory has a severity (INFO,
+// WATCH or WARNING), a headline, an optional description and optional validFrom/validTo
+// dates. The provider is chosen with WEATHER_PROVIDER; further providers can be added
+// with registerWeatherProvider.
+
+const fileProvider = require('./fileProvider');
+
+const ADVISORY_SEVERITIES = ['INFO', 'WATCH', 'WARNING'];
+
+const providers = {
+  // No advisories; events only carry the configured monsoon risk
+  none: () => ({
+    name: 'none',
+    getAdvisories: async () => []
+  }),
+  // Advisories read from a local JSON file, for development and testing
+  file: () => fileProvider.create({
+    filePath: process.env.WEATHER_ADVISORY_FILE || fileProvider.SAMPLE_FILE
+  })
+};
+
+/**
+ * Register a weather advisory provider
+ * @param {string} name - Name to select the provider by in WEATHER_PROVIDER
+ * @param {Function} factory - Returns the provider ({ name, getAdvisories })
+ */
+function registerWeatherProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Create the weather advisory provider with the given name
+ * @param {string} name - Registered provider name
+ * @returns {object} - Provider ({ name, getAdvisories })
+ */
+function createWeatherProvider(name) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  ADVISORY_SEVERITIES,
+  registerWeatherProvider,
+  createWeatherProvider
+};
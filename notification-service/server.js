@@ -6,7 +6,8 @@ const nodemailer = require('nodemailer');
 const app = express();
 const PORT = process.env.PORT || 3008;
 
-app.use(express.json());
+// Email attachments (e.g. receipt PDFs) arrive base64-encoded in the request body
+app.use(express.json({ limit: '5mb' }));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/notification-service', {
@@ -31,7 +32,14 @@ const notificationSchema = new mongoose.Schema({
     subject: { type: String },
     message: { type: String, required: true },
     templateId: { type: String },
-    variables: { type: Map, of: String }
+    variables: { type: Map, of: String },
+    // Files attached to emails, base64-encoded
+    attachments: [{
+      _id: false,
+      filename: { type: String, required: true },
+      contentType: { type: String },
+      content: { type: String, required: true }
+    }]
   },
   status: { 
     type: String, 
@@ -65,6 +73,41 @@ const templateSchema = new mongoose.Schema({
 
 const Template = mongoose.model('Template', templateSchema);
 
+// Templates other services send by name; created on startup if missing, so edits made
+// to them later are kept
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'password-reset',
+    type: 'EMAIL',
+    subject: 'Reset your password',
+    content: '<p>Dear {{firstName}},</p>' +
+      '<p>We received a request to reset your Donor Management System password. ' +
+      '<a href="{{resetUrl}}">Choose a new password</a>. The link expires in {{expiresInMinutes}} minutes ' +
+      'and can only be used once.</p>' +
+      '<p>If you did not ask for a password reset, you can ignore this email.</p>',
+    variables: ['firstName', 'resetUrl', 'expiresInMinutes']
+  },
+  {
+    name: 'email-verification',
+    type: 'EMAIL',
+    subject: 'Confirm your email address',
+    content: '<p>Dear {{firstName}},</p>' +
+      '<p>Please <a href="{{verificationUrl}}">confirm the email address</a> for your Donor Management System ' +
+      'account. The link expires in {{expiresInHours}} hours.</p>',
+    variables: ['firstName', 'verificationUrl', 'expiresInHours']
+  }
+];
+
+async function ensureDefaultTemplates() {
+  for (const template of DEFAULT_TEMPLATES) {
+    await Template.updateOne(
+      { name: template.name },
+      { $setOnInsert: template },
+      { upsert: true }
+    );
+  }
+}
+
 // RabbitMQ connection
 let channel;
 async function connectToRabbitMQ() {
@@ -183,7 +226,13 @@ async function processEmailNotification(notificationData) {
       from: `"${process.env.EMAIL_SENDER_NAME || 'Donor Management System'}" <${process.env.EMAIL_SENDER_EMAIL || 'noreply@donormanagementsystem.com'}>`,
       to: notification.recipient.email,
       subject: notification.content.subject,
-      html: notification.content.message
+      html: notification.content.message,
+      attachments: notification.content.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: attachment.content,
+        encoding: 'base64'
+      }))
     };
     
     // Send email
@@ -298,9 +347,18 @@ app.post('/send', [
   body('recipientEmail').optional().isEmail(),
   body('recipientPhone').optional(),
   body('subject').optional(),
-  body('message').notEmpty(),
-  body('templateId').optional(),
-  body('templateVariables').optional().isObject()
+  // The message comes from the template when one is given
+  body('message').if((value, { req }) => !req.body.templateId && !req.body.templateName).notEmpty(),
+  body('templateId').optional().isMongoId(),
+  body('templateName').optional().isString(),
+  body('templateVariables').optional().isObject(),
+  // Only emails carry attachments
+  body('attachments').optional().isArray({ max: 5 })
+    .custom((value, { req }) => req.body.type === 'EMAIL')
+    .withMessage('Attachments can only be sent by email'),
+  body('attachments.*.filename').isString().notEmpty(),
+  body('attachments.*.contentType').optional().isString(),
+  body('attachments.*.content').isBase64()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -315,7 +373,7 @@ app.post('/send', [
   }
 
   try {
-    const { type, recipientId, recipientEmail, recipientPhone, subject, message, templateId, templateVariables } = req.body;
+    const { type, recipientId, recipientEmail, recipientPhone, subject, message, templateId, templateName, templateVariables, attachments } = req.body;
     
     // Validate recipient info based on type
     if (type === 'EMAIL' && !recipientEmail) {
@@ -340,10 +398,13 @@ app.post('/send', [
     
     let finalMessage = message;
     let finalSubject = subject;
+    let template = null;
     
-    // Process template if templateId is provided
-    if (templateId) {
-      const template = await Template.findById(templateId);
+    // Process template if templateId or templateName is provided
+    if (templateId || templateName) {
+      template = templateId
+        ? await Template.findById(templateId)
+        : await Template.findOne({ name: templateName });
       if (!template) {
         return res.status(404).json({
           success: false,
@@ -391,8 +452,9 @@ app.post('/send', [
       content: {
         subject: finalSubject,
         message: finalMessage,
-        templateId: templateId,
-        variables: templateVariables
+        templateId: template ? template._id.toString() : undefined,
+        variables: templateVariables,
+        attachments
       }
     });
     
@@ -540,6 +602,7 @@ app.post('/templates', [
 // Initialize services
 async function initializeServices() {
   try {
+    await ensureDefaultTemplates().catch(error => console.error('Error creating default templates:', error));
     await connectToRabbitMQ();
     await setupEmailTransporter();
   } catch (error) {
@@ -3,9 +3,22 @@ const mongoose = require('mongoose');
 const { body, param, validationResult } = require('express-validator');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const axios = require('axios');
+const { forwardIdentity } = require('../shared/identity');
+const { authenticate, requirePermission } = require('../shared/permissions');
 const app = express();
 const PORT = process.env.PORT || 3006;
 
+// Upstream service URLs
+const eventServiceUrl = process.env.EVENT_SERVICE_URL || 'http://event-service:3005';
+
+// Secret used to sign QR ticket payloads. There is no fallback: anyone who knows the secret
+// can forge tickets, so without it tickets are neither issued nor accepted.
+const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET;
+if (!QR_SIGNING_SECRET) {
+  console.error('QR_SIGNING_SECRET is not set; QR tickets cannot be issued or verified');
+}
+
 app.use(express.json());
 
 // MongoDB connection
@@ -46,8 +59,114 @@ const qrCodeSchema = new mongoose.Schema({
 
 const QRCodeModel = mongoose.model('QRCode', qrCodeSchema);
 
+/**
+ * Sign a QR ticket payload with HMAC-SHA256
+ * @param {object} payload - id, eventId, donorId, seatId and expiresAt (epoch ms)
+ * @returns {string} - Hex-encoded signature
+ */
+function signPayload(payload) {
+  if (!QR_SIGNING_SECRET) {
+    throw new Error('QR_SIGNING_SECRET is not set');
+  }
+  
+  const message = [payload.id, payload.eventId, payload.donorId, payload.seatId || '', payload.expiresAt].join('|');
+  return crypto.createHmac('sha256', QR_SIGNING_SECRET).update(message).digest('hex');
+}
+
+/**
+ * Check a scanned payload's signature in constant time
+ * @param {object} payload - Parsed QR data including its signature
+ * @returns {boolean} - True if the signature matches the payload
+ */
+function isValidSignature(payload) {
+  if (!QR_SIGNING_SECRET || typeof payload.signature !== 'string') {
+    return false;
+  }
+  
+  const expected = Buffer.from(signPayload(payload), 'hex');
+  const actual = Buffer.from(payload.signature, 'hex');
+  
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Every route needs a gateway-signed identity, or the service token for calls from event-service
+app.use(authenticate);
+
+// Create QR Code for an event registration
+app.post('/', requirePermission('manage-registrations'), [
+  body('event.id').notEmpty(),
+  body('event.title').notEmpty(),
+  body('donor.id').notEmpty(),
+  body('donor.firstName').notEmpty(),
+  body('donor.lastName').notEmpty(),
+  body('seat').optional().isObject(),
+  body('expiresAt').isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const { event, donor, seat } = req.body;
+    const expiresAt = new Date(req.body.expiresAt);
+    
+    const qrCode = new QRCodeModel({
+      event: { id: event.id, title: event.title },
+      donor: { id: donor.id, firstName: donor.firstName, lastName: donor.lastName },
+      seat: seat ? { id: seat.id, section: seat.section, row: seat.row, number: seat.number } : undefined,
+      expiresAt
+    });
+    
+    // The payload carries the QR code's own ID so a scan can be traced back to it
+    const payload = {
+      id: qrCode._id.toString(),
+      eventId: event.id,
+      donorId: donor.id,
+      seatId: seat ? seat.id : undefined,
+      expiresAt: expiresAt.getTime()
+    };
+    
+    qrCode.signature = signPayload(payload);
+    qrCode.data = JSON.stringify({ ...payload, signature: qrCode.signature });
+    
+    await qrCode.save();
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        id: qrCode._id,
+        event: qrCode.event,
+        donor: qrCode.donor,
+        seat: qrCode.seat,
+        expiresAt: qrCode.expiresAt,
+        status: qrCode.status,
+        qrImageUrl: `/api/qr-codes/${qrCode._id}/image`,
+        createdAt: qrCode.createdAt,
+        updatedAt: qrCode.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 // Get QR Code
-app.get('/:qrCodeId', [
+app.get('/:qrCodeId', requirePermission('view-events'), [
   param('qrCodeId').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -107,7 +226,7 @@ app.get('/:qrCodeId', [
 });
 
 // Get QR Code image
-app.get('/:qrCodeId/image', [
+app.get('/:qrCodeId/image', requirePermission('view-events'), [
   param('qrCodeId').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -161,10 +280,120 @@ app.get('/:qrCodeId/image', [
   }
 });
 
+// Get an event's tickets for offline check-in. Only a hash of each signature is
+// shared, so the list can verify scanned tickets but cannot be used to forge them.
+app.get('/events/:eventId/tickets', requirePermission('check-in-attendees'), [
+  param('eventId').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid event ID format',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const qrCodes = await QRCodeModel.find({ 'event.id': req.params.eventId });
+    
+    const tickets = qrCodes.map(qrCode => ({
+      id: qrCode._id,
+      donorId: qrCode.donor.id,
+      seatId: qrCode.seat ? qrCode.seat.id : null,
+      status: qrCode.status,
+      expiresAt: qrCode.expiresAt,
+      signatureHash: crypto.createHash('sha256').update(qrCode.signature).digest('hex')
+    }));
+    
+    res.json({
+      success: true,
+      count: tickets.length,
+      data: tickets
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Update QR Code status (used by event-service for offline check-ins and cancellations)
+app.put('/:qrCodeId/status', requirePermission('manage-registrations'), [
+  param('qrCodeId').isMongoId(),
+  body('status').isIn(['USED', 'CANCELLED'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+
+  try {
+    const qrCode = await QRCodeModel.findById(req.params.qrCodeId);
+    
+    if (!qrCode) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'QR code not found'
+        }
+      });
+    }
+    
+    // Only active codes can be used or cancelled; repeating the same change is a no-op
+    if (qrCode.status !== 'ACTIVE' && qrCode.status !== req.body.status) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Cannot change QR code status from ${qrCode.status} to ${req.body.status}`
+        }
+      });
+    }
+    
+    qrCode.status = req.body.status;
+    qrCode.updatedAt = new Date();
+    await qrCode.save();
+    
+    res.json({
+      success: true,
+      data: {
+        id: qrCode._id,
+        status: qrCode.status,
+        updatedAt: qrCode.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 // Verify QR Code
-app.post('/verify', [
-  body('qrData').notEmpty(),
-  body('verifiedBy').isMongoId()
+app.post('/verify', requirePermission('check-in-attendees'), [
+  body('qrData').notEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -194,7 +423,7 @@ app.post('/verify', [
     }
     
     // Check if QR code data has required fields
-    if (!qrData.donorId || !qrData.eventId || !qrData.signature) {
+    if (!qrData.id || !qrData.donorId || !qrData.eventId || !qrData.expiresAt || !qrData.signature) {
       return res.status(400).json({
         success: false,
         error: {
@@ -204,11 +433,20 @@ app.post('/verify', [
       });
     }
     
-    // In a real implementation, we would verify the signature here
-    // For this example, we'll assume the signature is valid
+    // Reject payloads that were not signed by us or were altered after signing
+    if (!isValidSignature(qrData)) {
+      return res.status(400).json({
+        success: false,
+        data: {
+          valid: false,
+          reason: 'QR code signature is invalid'
+        }
+      });
+    }
     
     // Find the QR code
-    const qrCode = await QRCodeModel.findOne({
+    const qrCode = mongoose.Types.ObjectId.isValid(qrData.id) && await QRCodeModel.findOne({
+      _id: qrData.id,
       'donor.id': qrData.donorId,
       'event.id': qrData.eventId,
       signature: qrData.signature
@@ -257,30 +495,53 @@ app.post('/verify', [
       });
     }
     
+    // Check the attendee in at the event service, which owns the attendance record
+    let attendance;
+    try {
+      const response = await axios.post(`${eventServiceUrl}/${qrCode.event.id}/check-in`, {
+        donorId: qrCode.donor.id,
+        qrCodeId: qrCode._id.toString()
+      }, {
+        // The verifying user's gateway-signed identity authorizes the check-in at the event service
+        headers: {
+          ...forwardIdentity(req.headers),
+          'x-request-id': req.headers['x-request-id'] || `req_${Date.now()}`
+        },
+        timeout: 5000
+      });
+      attendance = response.data.data;
+    } catch (error) {
+      // The event service refused the check-in, e.g. the event is not today
+      if (error.response && error.response.status < 500) {
+        return res.status(400).json({
+          success: false,
+          data: {
+            valid: false,
+            reason: error.response.data.error ? error.response.data.error.message : 'Check-in was rejected'
+          }
+        });
+      }
+      
+      console.error(`Event service check-in failed: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Event service temporarily unavailable'
+        }
+      });
+    }
+    
     // Mark QR code as used
     qrCode.status = 'USED';
     qrCode.updatedAt = new Date();
     await qrCode.save();
     
-    // In a real implementation, we would now update the attendance record
-    // in the event service to mark the donor as checked in
-    
-    // Mock attendance data
-    const checkInTime = new Date();
-    const attendance = {
-      id: `60d4a6101f3d2c001f9a4ee${Math.floor(Math.random() * 9)}`,
-      status: 'CHECKED_IN',
-      checkInTime,
-      donor: {
-        id: qrCode.donor.id,
-        firstName: qrCode.donor.firstName,
-        lastName: qrCode.donor.lastName
-      },
-      event: {
-        id: qrCode.event.id,
-        title: qrCode.event.title
-      },
-      seat: qrCode.seat
+    // Fill in the donor's name from the ticket for display at the gate
+    attendance.donor = {
+      id: qrCode.donor.id,
+      firstName: qrCode.donor.firstName,
+      lastName: qrCode.donor.lastName
     };
     
     res.json({
@@ -1,5 +1,8 @@
 // Enhanced donor service client
 // Enhanced donor service client with circuit breaker pattern
+const axios = require('axios');
+const { forwardIdentity } = require('./identity');
+
 const DonorServiceClient = {
   baseUrl: process.env.DONOR_SERVICE_URL || 'http://donor-service:3002',
   timeout: 5000,
@@ -119,7 +122,8 @@ const DonorServiceClient = {
    * Fetch donor details from the donor service
    * @param {string} donorId - The ID of the donor to fetch
    * @param {object} headers - Headers to forward for authentication
-   * @returns {Promise<object>} - Donor details or default donor object if fetch fails
+   * @returns {Promise<object>} - Donor details, a not-found marker if the donor service has no
+   *   such donor, or default donor object if fetch fails
    */
   async getDonor(donorId, headers) {
     // Check circuit breaker first
@@ -159,6 +163,14 @@ const DonorServiceClient = {
       
       throw new Error('Invalid donor service response format');
     } catch (error) {
+      // The donor service answered; the donor just does not exist
+      if (error.response && error.response.status === 404) {
+        console.log(`Donor ${donorId} not found in donor service`);
+        this._recordSuccess();
+        success = true;
+        return this._createNotFoundDonor(donorId);
+      }
+      
       // Record failure for circuit breaker
       this._recordFailure();
       
@@ -169,9 +181,7 @@ const DonorServiceClient = {
                       error.response.data);
                       
         // Special handling for specific status codes
-        if (error.response.status === 404) {
-          console.log(`Donor ${donorId} not found in donor service`);
-        } else if (error.response.status >= 500) {
+        if (error.response.status >= 500) {
           console.error(`Donor service server error when fetching donor ${donorId}`);
         }
       } else if (error.request) {
@@ -197,15 +207,21 @@ const DonorServiceClient = {
    * @returns {object} - Prepared headers
    */
   _prepareHeaders(headers) {
-    return {
-      'Authorization': headers.authorization,
-      'x-user-id': headers['x-user-id'],
-      'x-user-role': headers['x-user-role'],
+    const prepared = {
+      ...forwardIdentity(headers),
       'x-request-id': headers['x-request-id'] || `req_${Date.now()}`,
       'Content-Type': 'application/json',
       'Accept': 'application/json',
-      'x-source-service': 'donation-service'
+      'x-source-service': 'donation-service',
+      'x-service-token': process.env.INTERNAL_SERVICE_TOKEN
     };
+    
+    // Leave out headers the caller did not send; axios rejects undefined values
+    Object.keys(prepared).forEach(key => {
+      if (prepared[key] === undefined) delete prepared[key];
+    });
+    
+    return prepared;
   },
   
   /**
@@ -226,11 +242,30 @@ const DonorServiceClient = {
     };
   },
   
+  /**
+   * Create a marker for a donor the donor service does not have (e.g. deleted since it was
+   * referenced). Unlike default data this does not mean the donor service is degraded.
+   * @private
+   * @param {string} donorId - The donor ID
+   * @returns {object} - Not-found donor object
+   */
+  _createNotFoundDonor(donorId) {
+    return {
+      id: donorId,
+      firstName: 'Unknown',
+      lastName: 'Donor',
+      email: null,
+      phone: null,
+      _notFound: true  // Flag to indicate the donor does not exist
+    };
+  },
+  
   /**
    * Batch fetch multiple donors
    * @param {string[]} donorIds - Array of donor IDs to fetch
    * @param {object} headers - Headers to forward for authentication
-   * @returns {Promise<object>} - Map of donor IDs to donor objects
+   * @returns {Promise<object>} - Map of donor IDs to donor objects; donors the donor service
+   *   does not have get a not-found marker, and default data is only used when it could not be reached
    */
   async getDonors(donorIds, headers) {
     if (!donorIds || !donorIds.length) return {};
@@ -255,6 +290,7 @@ const DonorServiceClient = {
       // Split into chunks if the list is very large
       const donorIdChunks = this._chunkArray(uniqueDonorIds, 20); // Max 20 IDs per request
       let donorMap = {};
+      let batchResponses = 0;
       
       // Process each chunk
       for (const chunk of donorIdChunks) {
@@ -274,8 +310,17 @@ const DonorServiceClient = {
           
           if (response.data && response.data.success && response.data.data) {
             // Convert the response array to a map of id -> donor and add to result
+            // (donor-service returns raw documents, keyed by _id)
             response.data.data.forEach(donor => {
-              donorMap[donor.id] = donor;
+              donorMap[donor.id || donor._id] = donor;
+            });
+            batchResponses++;
+            
+            // IDs the batch response left out do not exist
+            chunk.forEach(id => {
+              if (!donorMap[id]) {
+                donorMap[id] = this._createNotFoundDonor(id);
+              }
             });
           } else {
             throw new Error('Invalid donor service batch response format');
@@ -289,15 +334,14 @@ const DonorServiceClient = {
       
       console.log(`Successfully fetched ${Object.keys(donorMap).length} donors`);
       
-      // Record success for circuit breaker if we got at least some donors
-      if (Object.keys(donorMap).length > 0) {
+      // Record success for circuit breaker if the donor service answered any batch request
+      // (chunks that fell back to individual requests recorded their own outcome)
+      if (batchResponses > 0) {
         this._recordSuccess();
         success = true;
-      } else {
-        this._recordFailure();
       }
       
-      // Fill in any missing donors with default data
+      // Fill in donors that could not be fetched at all with default data
       uniqueDonorIds.forEach(id => {
         if (!donorMap[id]) {
           donorMap[id] = this._createDefaultDonor(id);
@@ -422,8 +466,6 @@ const DonorServiceClient = {
   }
 };
 
- // Create a singleton instance
- const donorServiceClient = new DonorServiceClient();
-  
- // Export the instance
- export default donorServiceClient;
\ No newline at end of file
+// The client is a singleton object; it is exported as `default` for the
+// existing require('../shared/donorServiceClient').default call sites
+module.exports = { default: DonorServiceClient };
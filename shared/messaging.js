@@ -0,0 +1,72 @@
+/**
+ * Consuming donor-events queues with delayed retries: a message whose handler fails waits in
+ * <queue>.retry for MESSAGE_RETRY_DELAY_MS and is then dead-lettered back onto <queue>. After
+ * MESSAGE_MAX_ATTEMPTS failed attempts it is parked in <queue>.dead-letter for inspection
+ * and rejected, instead of being redelivered in a tight loop.
+ */
+
+const MESSAGE_MAX_ATTEMPTS = parseInt(process.env.MESSAGE_MAX_ATTEMPTS) || 5;
+const MESSAGE_RETRY_DELAY_MS = parseInt(process.env.MESSAGE_RETRY_DELAY_MS) || 30 * 1000;
+
+// Headers kept on a message between attempts. Dead-lettering replaces the routing key with the
+// queue name, so the event's original routing key travels in a header.
+const ATTEMPTS_HEADER = 'x-attempts';
+const ROUTING_KEY_HEADER = 'x-original-routing-key';
+
+/**
+ * Consume a queue of JSON events, retrying failed messages after a delay
+ * @param {object} channel - amqplib channel
+ * @param {string} queue - Queue to consume; it must already be asserted and bound
+ * @param {Function} handler - async (event, routingKey), throws to have the message retried
+ * @returns {Promise<object>} - amqplib consume reply
+ */
+async function consumeWithRetry(channel, queue, handler) {
+  const retryQueue = `${queue}.retry`;
+  const deadLetterQueue = `${queue}.dead-letter`;
+
+  await channel.assertQueue(retryQueue, {
+    durable: true,
+    messageTtl: MESSAGE_RETRY_DELAY_MS,
+    deadLetterExchange: '',
+    deadLetterRoutingKey: queue
+  });
+  await channel.assertQueue(deadLetterQueue, { durable: true });
+
+  return channel.consume(queue, async (msg) => {
+    if (msg === null) {
+      return;
+    }
+
+    const headers = msg.properties.headers || {};
+    const routingKey = headers[ROUTING_KEY_HEADER] || msg.fields.routingKey;
+
+    try {
+      await handler(JSON.parse(msg.content.toString()), routingKey);
+      channel.ack(msg);
+    } catch (error) {
+      const attempts = (parseInt(headers[ATTEMPTS_HEADER]) || 0) + 1;
+      const retry = attempts < MESSAGE_MAX_ATTEMPTS;
+      console.error(
+        `Error processing ${routingKey} event (attempt ${attempts} of ${MESSAGE_MAX_ATTEMPTS}` +
+        `${retry ? '' : `, moving it to ${deadLetterQueue}`}):`,
+        error
+      );
+
+      channel.sendToQueue(retry ? retryQueue : deadLetterQueue, msg.content, {
+        ...msg.properties,
+        headers: { ...headers, [ATTEMPTS_HEADER]: attempts, [ROUTING_KEY_HEADER]: routingKey }
+      });
+      if (retry) {
+        channel.ack(msg);
+      } else {
+        channel.nack(msg, false, false);
+      }
+    }
+  });
+}
+
+module.exports = {
+  MESSAGE_MAX_ATTEMPTS,
+  MESSAGE_RETRY_DELAY_MS,
+  consumeWithRetry
+};
@@ -0,0 +1,18 @@
+/**
+ * PAN (Permanent Account Number) validation shared across services
+ */
+
+// Five letters, four digits, one letter, e.g. ABCDE1234F
+const PAN_REGEX = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
+
+/**
+ * Check whether a value is a well-formed PAN
+ * @param {string} panNumber - The PAN to check
+ * @returns {boolean} - True if the PAN format is valid
+ */
+const isValidPan = (panNumber) => PAN_REGEX.test(panNumber || '');
+
+module.exports = {
+  PAN_REGEX,
+  isValidPan
+};
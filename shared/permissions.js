@@ -0,0 +1,139 @@
+/**
+ * Permission catalogue and authorization middleware shared across services
+ */
+const { verifyIdentity } = require('./identity');
+
+// Every permission a user can hold, with what it allows
+const PERMISSIONS = {
+  'view-donors': 'View donors and their donation and event history',
+  'manage-donors': 'Create and update donors and verify their PANs',
+  'view-donations': 'View donations and donation statistics',
+  'manage-donations': 'Record and update donations',
+  'delete-donations': 'Delete donations',
+  'view-receipts': 'View and download receipts and donor statements',
+  'manage-receipts': 'Issue and send receipts',
+  'view-events': 'View events, attendees, seating and waitlists',
+  'manage-events': 'Create, update and cancel events, series, seating and ticket tiers',
+  'manage-registrations': 'Register donors for events, move their seats and cancel registrations',
+  'check-in-attendees': 'Check attendees in at events',
+  'manage-users': 'Create, update and deactivate users',
+  'manage-settings': 'View and change system configuration and run maintenance tasks',
+  'view-audit-logs': 'View the audit log',
+  'export-reports': 'Export statutory reports such as Form 10BD'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+const ROLES = ['volunteer', 'admin', 'superadmin'];
+
+// Permissions each role has unless admin-service configures its own mapping
+const DEFAULT_ROLE_PERMISSIONS = {
+  volunteer: [
+    'view-donors',
+    'manage-donors',
+    'view-donations',
+    'manage-donations',
+    'view-receipts',
+    'manage-receipts',
+    'view-events',
+    'manage-events',
+    'manage-registrations',
+    'check-in-attendees'
+  ],
+  admin: PERMISSION_NAMES,
+  superadmin: PERMISSION_NAMES
+};
+
+// Roles that must sign in with two-factor authentication unless admin-service configures
+// its own policy; these roles can delete donations and change system configuration
+const DEFAULT_TWO_FACTOR_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Work out the permissions a user holds: their role's permissions plus any granted to
+ * them individually. Superadmins always hold every permission so they cannot be locked out.
+ * @param {string} role - User role
+ * @param {string[]} [userPermissions] - Permissions granted to the user directly
+ * @param {object} [rolePermissions] - Role to permissions mapping, defaults to DEFAULT_ROLE_PERMISSIONS
+ * @returns {string[]} - Permissions from the catalogue, without duplicates
+ */
+function resolvePermissions(role, userPermissions = [], rolePermissions = DEFAULT_ROLE_PERMISSIONS) {
+  if (role === 'superadmin') {
+    return [...PERMISSION_NAMES];
+  }
+
+  const granted = new Set([
+    ...(rolePermissions[role] || DEFAULT_ROLE_PERMISSIONS[role] || []),
+    ...userPermissions
+  ]);
+  return PERMISSION_NAMES.filter(permission => granted.has(permission));
+}
+
+/**
+ * Middleware to authenticate a request from the identity headers the API gateway signs
+ * (see shared/identity.js); requests that bypass the gateway are rejected. Service-to-service
+ * calls made without a user (e.g. from background jobs and event consumers) authenticate
+ * with the shared INTERNAL_SERVICE_TOKEN instead and hold every permission.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = (req, res, next) => {
+  const identity = verifyIdentity(req.headers);
+  if (identity) {
+    req.user = identity;
+    return next();
+  }
+
+  const serviceToken = process.env.INTERNAL_SERVICE_TOKEN;
+  if (serviceToken && req.headers['x-service-token'] === serviceToken) {
+    req.user = { id: 'system', role: 'service', username: 'system', permissions: [...PERMISSION_NAMES] };
+    return next();
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: {
+      code: 'AUTHENTICATION_ERROR',
+      message: 'Requests must be authenticated through the API gateway'
+    }
+  });
+};
+
+/**
+ * Permission-based authorization middleware; must run after authenticate
+ * @param {...string} required - Permissions the user must hold, all of them
+ * @returns {Function} Middleware function
+ */
+const requirePermission = (...required) => {
+  const unknown = required.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const held = (req.user && req.user.permissions) || [];
+
+    if (!required.every(permission => held.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'AUTHORIZATION_ERROR',
+          message: 'You do not have permission to access this resource'
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_TWO_FACTOR_ROLES,
+  resolvePermissions,
+  authenticate,
+  requirePermission
+};
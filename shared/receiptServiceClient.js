@@ -1,6 +1,9 @@
 /**
  * Receipt service client with circuit breaker pattern and retry mechanisms
  */
+const axios = require('axios');
+const { forwardIdentity } = require('./identity');
+
 class ReceiptServiceClient {
     constructor() {
       this.baseUrl = process.env.RECEIPT_SERVICE_URL || 'http://receipt-service:3004';
@@ -128,9 +131,7 @@ class ReceiptServiceClient {
      */
     _prepareHeaders(headers) {
       return {
-        'Authorization': headers.authorization,
-        'x-user-id': headers['x-user-id'],
-        'x-user-role': headers['x-user-role'],
+        ...forwardIdentity(headers),
         'x-request-id': headers['x-request-id'] || `req_${Date.now()}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -366,8 +367,8 @@ class ReceiptServiceClient {
   // Create a singleton instance
   const receiptServiceClient = new ReceiptServiceClient();
   
-  // Export the instance
-  export default receiptServiceClient;
+  // Exported as `default` for the existing require('../shared/receiptServiceClient').default call sites
+  module.exports = { default: receiptServiceClient };
   
   
       
\ No newline at end of file
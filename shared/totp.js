@@ -0,0 +1,111 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as produced by authenticator apps:
+ * 6 digits, 30 second steps, HMAC-SHA1, with the shared secret in base32.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret to share with the user's authenticator app
+ * @returns {string} - 160-bit secret in base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of 30 second steps since the Unix epoch
+ * @returns {string} - 6 digit code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a moment falls in
+ * @param {number} [time] - Milliseconds since the Unix epoch, defaults to now
+ * @returns {number}
+ */
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code from the user's authenticator app, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time] - Milliseconds since the Unix epoch, defaults to now
+ * @returns {number|null} - The time step the code belongs to, or null if it does not match.
+ *   Callers record the step and refuse codes from it or earlier steps, so a code works only once.
+ */
+function verifyCode(secret, code, time = Date.now()) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(time);
+  for (const candidate of [step - 1, step, step + 1]) {
+    const expected = Buffer.from(generateCode(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URL authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account shown in the app, e.g. the user's email
+ * @param {string} issuer - Organisation shown in the app
+ * @returns {string}
+ */
+const otpauthUrl = (secret, accountName, issuer) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  otpauthUrl
+};